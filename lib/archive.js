@@ -0,0 +1,237 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { once } = require('events');
+const { checkFirmwareCRC, sha256 } = require('./firmware');
+const { parseIhexRecord, parseIhex, assembleIhexImage } = require('./ihex');
+
+// Firmware archives are encrypted with AES-128-CBC using the same key and IV.
+const firmwareArchiveKey = 'gbUst8Ce8Cp4bkPw';
+const maxBlobLength = 128 * 1024;
+
+function createFirmwareStream(file) {
+    const decipher = crypto.createDecipheriv('aes-128-cbc', firmwareArchiveKey, firmwareArchiveKey);
+    return pipeline(fs.createReadStream(file), decipher, () => {});
+}
+
+async function readFirmwareArchive(file, createIhexStream, createBinStream) {
+    const archive = {
+        version: 'unknown',
+        products: {}
+    };
+    let productId = undefined;
+    let blob = undefined;
+    let extendedSegmentAddress = 0;
+    let maxAddress = 0;
+    let hexStream = undefined;
+    function decodeLine(line) {
+        if (line.startsWith(':')) {
+            if (productId === undefined)
+                throw new Error('Missing product metadata while decoding blob');
+
+            const { type: recordType, offset, data } = parseIhexRecord(line);
+
+            if (blob === undefined) {
+                blob = new Uint8Array(maxBlobLength).fill(0xff);
+                extendedSegmentAddress = 0;
+                maxAddress = 0;
+                if (createIhexStream)
+                    hexStream = createIhexStream(productId);
+            }
+            if (hexStream) {
+                hexStream.write(line);
+                hexStream.write('\n');
+            }
+
+            // The archives only hold 16 byte data records with extended segment addresses.
+            const dataLength = data.length;
+            switch (recordType) {
+                case 0: // data record
+                    if (dataLength !== 16)
+                        throw new Error('Data record malformed');
+                    let startAddress = (extendedSegmentAddress << 4) + offset;
+                    let endAddress = startAddress + dataLength;
+                    if (endAddress > maxBlobLength)
+                        throw new Error('Data record offset out of range');
+                    if (endAddress > maxAddress)
+                        maxAddress = endAddress;
+                    blob.set(data, startAddress);
+                    break;
+                case 1: // EOF record
+                    if (dataLength !== 0 || offset !== 0)
+                        throw new Error('EOF record malformed');
+                    if (archive.products[productId].blob !== undefined)
+                        throw new Error('Encountered a second blob for the same product');
+
+                    if (hexStream) {
+                        hexStream.close();
+                        hexStream = undefined;
+                    }
+    
+                    blob = blob.subarray(0, maxAddress);
+                    if (createBinStream) {
+                        const stream = createBinStream(productId);
+                        if (stream) {
+                            stream.write(blob);
+                            stream.close();
+                        }
+                    }
+
+                    let product = archive.products[productId];
+                    product.blob = blob;
+                    product.blobLength = blob.length;
+                    product.blobHash = sha256(blob);
+                    product.blobCRCValid = checkFirmwareCRC(blob);
+                    blob = undefined;
+                    break;
+                case 2: // extended segment address
+                    if (dataLength !== 2 || offset !== 0)
+                        throw new Error('Extended segment address record malformed');
+                    extendedSegmentAddress = (data[0] << 8) | data[1];
+                    break;
+                case 3: // start segment address
+                case 4: // extended linear address
+                case 5: // start linear address
+                default:
+                    throw new Error(`Unsupported record type ${recordType}`);
+            }
+        } else {
+            if (blob !== undefined)
+                throw new Error('Encountered metadata while decoding a blob');
+            let s = line.split('=');
+            if (s.length == 4) {
+                productId = s[0];
+                archive.products[productId] = {
+                    name: s[1],
+                    version: s[2],
+                    message: s[3]
+                };
+            } else if (archive.version === 'unknown') {
+                archive.version = line;
+            }
+        }
+    }
+
+    const input = createFirmwareStream(file);
+    const reader = readline.createInterface({
+            input: input,
+            crlfDelay: Infinity
+        });
+    let failure = undefined;
+    function fail(error) {
+        if (failure !== undefined) return;
+        failure = error;
+        reader.close();
+        input.destroy();
+    }
+    input.on('error', fail);
+    reader.on('line', (line) => {
+        if (failure !== undefined) return;
+        try {
+            decodeLine(line);
+        } catch (error) {
+            fail(error);
+        }
+    });
+    await once(reader, 'close');
+    if (failure !== undefined) throw failure;
+    return archive;
+}
+
+function formatIhexRecord(recordType, offset, data) {
+    const record = [data.length, offset >> 8, offset & 0xff, recordType].concat(Array.from(data));
+    let checksum = 0;
+    record.forEach((byte) => { checksum += byte });
+    record.push(-checksum & 0xff);
+    return ':' + record.map((byte) => byte.toString(16).padStart(2, '0').toUpperCase()).join('');
+}
+
+// Encodes a blob as ihex records in the form that readFirmwareArchive expects:
+// 16 byte data records with an extended segment address record at each 64 KB boundary.
+function encodeIhex(blob) {
+    if (blob.length % 16 !== 0)
+        throw new Error('Blob length must be a multiple of 16 bytes');
+    if (blob.length > maxBlobLength)
+        throw new Error(`Blob length must not exceed ${maxBlobLength} bytes`);
+
+    const lines = [];
+    for (let address = 0; address < blob.length; address += 16) {
+        if (address !== 0 && address % 0x10000 === 0) {
+            const segment = address >> 4;
+            lines.push(formatIhexRecord(2, 0, [segment >> 8, segment & 0xff]));
+        }
+        lines.push(formatIhexRecord(0, address & 0xffff, blob.subarray(address, address + 16)));
+    }
+    lines.push(formatIhexRecord(1, 0, []));
+    return lines;
+}
+
+// Reads a firmware image in Intel HEX (*.ihex, *.hex) or binary format, such as the images
+// written by describe, recovered from a backup of the flash memory or built with vendor
+// tools.  Returns { blob, blobLength, blobHash, blobCRCValid } like the products of
+// readFirmwareArchive.
+async function readFirmwareImage(file) {
+    let blob;
+    if (/\.(ihex|hex)$/i.test(file)) {
+        try {
+            blob = assembleIhexImage(parseIhex(await fs.promises.readFile(file, 'utf8')));
+        } catch (error) {
+            if (error.code !== undefined) throw error;
+            throw new Error(`${file}: ${error.message}`);
+        }
+    } else {
+        blob = new Uint8Array(await fs.promises.readFile(file));
+    }
+    return {
+        blob: blob,
+        blobLength: blob.length,
+        blobHash: sha256(blob),
+        blobCRCValid: checkFirmwareCRC(blob)
+    };
+}
+
+// Describes a firmware archive without the contents of its blobs, e.g. to print it or write
+// it as JSON.  Returns the archive with the blob and ihex records left out of each product.
+function summarizeFirmwareArchive(archive) {
+    const products = {};
+    for (const [productId, product] of Object.entries(archive.products)) {
+        const { blob, ihex, ...summary } = product;
+        products[productId] = summary;
+    }
+    return { version: archive.version, products: products };
+}
+
+// Writes a firmware archive, the reverse of readFirmwareArchive.
+//
+// The archive has the same form that readFirmwareArchive returns.  Each product must
+// have either a blob or an array of ihex records which are written as is.
+async function writeFirmwareArchive(file, archive) {
+    if (/[\r\n]/.test(archive.version) || archive.version.startsWith(':') ||
+            archive.version.split('=').length === 4)
+        throw new Error('Archive version must be a single line that is not mistaken for product metadata');
+
+    const lines = [archive.version];
+    for (const [productId, product] of Object.entries(archive.products)) {
+        const metadata = [productId, product.name, product.version, product.message];
+        if (metadata.some((field) => typeof field !== 'string' || /[=\r\n]/.test(field)))
+            throw new Error(`Metadata for product ${productId} must not contain '=' or line breaks`);
+        lines.push(metadata.join('='));
+        lines.push(...(product.ihex !== undefined ? product.ihex : encodeIhex(product.blob)));
+    }
+
+    const cipher = crypto.createCipheriv('aes-128-cbc', firmwareArchiveKey, firmwareArchiveKey);
+    const data = Buffer.concat([cipher.update(lines.join('\n') + '\n', 'utf8'), cipher.final()]);
+    await fs.promises.writeFile(file, data);
+}
+
+module.exports = {
+    maxBlobLength,
+    createFirmwareStream,
+    readFirmwareArchive,
+    writeFirmwareArchive,
+    formatIhexRecord,
+    encodeIhex,
+    readFirmwareImage,
+    summarizeFirmwareArchive
+};
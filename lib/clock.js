@@ -0,0 +1,100 @@
+const { getClock } = require('./pe653');
+
+// The PE653 keeps local time without any notion of time zones or daylight saving time, so
+// its clock is set to the wall clock time of a time zone and has to be set again when
+// daylight saving time starts or ends.  It receives the time with the standard Clock
+// command class, whose weekdays run from 1 for Monday through 7 for Sunday, and reports the
+// hours and minutes in its reply to a Manufacturer Proprietary clock request, see pe653.js.
+const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const clockDefaults = {
+    threshold: 2
+};
+
+// Returns the wall clock time of a date in a time zone as { hours, minutes, weekday }.
+// The time zone defaults to the host's.
+function getLocalClock(date, timeZone) {
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    });
+    const parts = {};
+    for (const part of format.formatToParts(date)) parts[part.type] = part.value;
+    return {
+        hours: parseInt(parts.hour, 10),
+        minutes: parseInt(parts.minute, 10),
+        weekday: weekdays.indexOf(parts.weekday) + 1
+    };
+}
+
+// Parses a day of the week such as 'mon' or 'Monday' into a weekday from 1 to 7.
+// Returns 0 if the day is not recognized.
+function parseWeekday(day) {
+    return weekdays.findIndex((name) => day.toLowerCase().startsWith(name.toLowerCase()) && day.length >= 3) + 1;
+}
+
+// Returns the number of minutes that clock is ahead of expected, from -720 to 719, since
+// the PE653's clock only covers a single day.
+function getClockDrift(clock, expected) {
+    const drift = (clock.hours * 60 + clock.minutes) - (expected.hours * 60 + expected.minutes);
+    return ((drift + 720) % 1440 + 1440) % 1440 - 720;
+}
+
+// Sets the clock of a PE653 and reads it back to confirm.
+//
+// server: a server such as ZwaveJSServer which relays commands to the node
+// clock: the time to set as { hours, minutes, weekday }
+//
+// Resolves to { acknowledged, readBack, confirmed } where readBack is the clock read back
+// or null if the controller did not reply, and confirmed is true if it matches the time
+// that was set, allowing for a minute to pass in between.
+async function setControllerClock(server, nodeId, clock) {
+    if (!(clock.hours >= 0 && clock.hours <= 23 && clock.minutes >= 0 && clock.minutes <= 59 &&
+            clock.weekday >= 1 && clock.weekday <= 7))
+        throw new RangeError(`Invalid time ${clock.hours}:${clock.minutes} on weekday ${clock.weekday}`);
+
+    const acknowledged = await server.setClock(nodeId, clock.hours, clock.minutes, clock.weekday);
+    const readBack = await getClock(server.createTransport(nodeId));
+    const drift = readBack ? getClockDrift(readBack, clock) : null;
+    return {
+        acknowledged: acknowledged,
+        readBack: readBack,
+        confirmed: drift !== null && drift >= 0 && drift <= 1
+    };
+}
+
+// Sets the clock of a PE653 to the current time if it drifted too far.
+//
+// options.threshold: minutes of drift that are tolerated
+// options.timeZone: time zone of the controller, defaults to the host's
+// options.now: returns the current date, for testing
+//
+// Resolves to { clock, expected, drift, corrected, ... } where clock is the controller's
+// clock or null if it did not reply, expected is the current time, and corrected is true if
+// the clock was set, in which case the result of setControllerClock is included.
+async function syncControllerClock(server, nodeId, options = {}) {
+    options = Object.assign({ now: () => new Date() }, clockDefaults, options);
+    const clock = await getClock(server.createTransport(nodeId));
+    const expected = getLocalClock(options.now(), options.timeZone);
+    if (clock === null)
+        return { clock: null, expected: expected, drift: null, corrected: false };
+
+    const drift = getClockDrift(clock, expected);
+    if (Math.abs(drift) <= options.threshold)
+        return { clock: clock, expected: expected, drift: drift, corrected: false };
+
+    const result = await setControllerClock(server, nodeId, getLocalClock(options.now(), options.timeZone));
+    return Object.assign({ clock: clock, expected: expected, drift: drift, corrected: true }, result);
+}
+
+module.exports = {
+    clockDefaults,
+    getLocalClock,
+    parseWeekday,
+    getClockDrift,
+    setControllerClock,
+    syncControllerClock
+};
@@ -45,7 +45,23 @@ exports.crc32firmware = function(buf) {
     for (let x of buf) {
         crc32 = crc32brTable[x ^ (crc32 >>> 24)] ^ ((crc32 << 8) & 0xffffffff);
     }
-    return crc32;
+    return crc32 >>> 0;
+}
+
+// CRC32 implementation that mimics the hardware CRC unit of the STM32 microcontroller.
+// The unit consumes 32-bit words as they are stored in memory (little-endian) most
+// significant bit first, with the same polynomial, initial value, and lack of final
+// inversion as crc32firmware.  The buffer length must be a multiple of 4.
+//
+// Spec: RM0008 STM32F10xxx Reference Manual, CRC calculation unit
+exports.crc32stm32 = function(buf) {
+    let crc32 = 0xffffffff;
+    for (let i = 0; i + 3 < buf.length; i += 4) {
+        for (let j = 3; j >= 0; j--) {
+            crc32 = crc32brTable[buf[i + j] ^ (crc32 >>> 24)] ^ ((crc32 << 8) & 0xffffffff);
+        }
+    }
+    return crc32 >>> 0;
 }
 
 // XMODEM CRC16 algorithm used to check data blocks during the firmware upload.
@@ -0,0 +1,132 @@
+// Comparison of the firmware in two firmware archives.
+const { firmwareBaseAddress, readVectorTable } = require('./firmware');
+
+// Changed bytes separated by fewer unchanged bytes than this are reported as a single range,
+// since a recompiled firmware differs in many small places close to each other.
+const rangeMergeGap = 16;
+
+// Printable strings shorter than this are mostly chance sequences of instructions or data.
+const minStringLength = 6;
+
+// Returns the ranges of addresses at which two blobs differ as a list of { start, end, length }
+// where end is the last address of the range.  Bytes that only one of the blobs has count as
+// changed.
+function findChangedRanges(oldBlob, newBlob, baseAddress = firmwareBaseAddress) {
+    const ranges = [];
+    const length = Math.max(oldBlob.length, newBlob.length);
+    let start = -1;
+    let last = -1;
+    for (let i = 0; i < length; i++) {
+        if (i < oldBlob.length && i < newBlob.length && oldBlob[i] === newBlob[i]) continue;
+        if (start !== -1 && i - last > rangeMergeGap) {
+            ranges.push({ start: baseAddress + start, end: baseAddress + last, length: last - start + 1 });
+            start = -1;
+        }
+        if (start === -1) start = i;
+        last = i;
+    }
+    if (start !== -1)
+        ranges.push({ start: baseAddress + start, end: baseAddress + last, length: last - start + 1 });
+    return ranges;
+}
+
+// Extracts the runs of printable ASCII characters from a blob as a list of { address, text }.
+function extractStrings(blob, baseAddress = firmwareBaseAddress) {
+    const strings = [];
+    let start = 0;
+    for (let i = 0; i <= blob.length; i++) {
+        if (i < blob.length && blob[i] >= 0x20 && blob[i] <= 0x7e) continue;
+        if (i - start >= minStringLength)
+            strings.push({ address: baseAddress + start, text: Buffer.from(blob.subarray(start, i)).toString('ascii') });
+        start = i + 1;
+    }
+    return strings;
+}
+
+// Returns the strings of the first list that the second list does not have, counting
+// duplicates and ignoring where they are since unchanged strings move when code changes.
+function subtractStrings(strings, others) {
+    const counts = new Map();
+    for (const other of others) counts.set(other.text, (counts.get(other.text) || 0) + 1);
+    return strings.filter((string) => {
+        const count = counts.get(string.text) || 0;
+        if (count === 0) return true;
+        counts.set(string.text, count - 1);
+        return false;
+    });
+}
+
+function diffValues(oldValue, newValue) {
+    return oldValue === newValue ? null : { old: oldValue, new: newValue };
+}
+
+// Compares the blobs of a product in two archives.
+function diffBlobs(oldBlob, newBlob) {
+    const oldStrings = extractStrings(oldBlob);
+    const newStrings = extractStrings(newBlob);
+    const oldVectors = readVectorTable(oldBlob);
+    const newVectors = readVectorTable(newBlob);
+    const vectors = [];
+    for (const name of new Set(Object.keys(oldVectors).concat(Object.keys(newVectors)))) {
+        if (oldVectors[name] !== newVectors[name])
+            vectors.push({ name: name, old: oldVectors[name], new: newVectors[name] });
+    }
+    return {
+        ranges: findChangedRanges(oldBlob, newBlob),
+        strings: {
+            added: subtractStrings(newStrings, oldStrings),
+            removed: subtractStrings(oldStrings, newStrings)
+        },
+        vectors: vectors
+    };
+}
+
+// Compares two firmware archives read by readFirmwareArchive.
+//
+// Returns { version, products } where version is { old, new } or null if the archive versions
+// are the same, and products lists for each product of either archive:
+//    productId
+//    status: 'added', 'removed', 'changed' or 'unchanged'
+//    name, version, message, length, hash: { old, new } or null if the same
+//    ranges: the changed address ranges, see findChangedRanges()
+//    strings: { added, removed } printable strings, see extractStrings()
+//    vectors: the core vectors that changed as { name, old, new }, see readVectorTable()
+// where ranges, strings and vectors are only present if both archives have a blob for the
+// product.
+function diffFirmwareArchives(oldArchive, newArchive) {
+    const productIds = new Set(Object.keys(oldArchive.products).concat(Object.keys(newArchive.products)));
+    const products = [];
+    for (const productId of productIds) {
+        const oldProduct = oldArchive.products[productId] || {};
+        const newProduct = newArchive.products[productId] || {};
+        const diff = {
+            productId: productId,
+            status: 'unchanged',
+            name: diffValues(oldProduct.name, newProduct.name),
+            version: diffValues(oldProduct.version, newProduct.version),
+            message: diffValues(oldProduct.message, newProduct.message),
+            length: diffValues(oldProduct.blobLength, newProduct.blobLength),
+            hash: diffValues(oldProduct.blobHash, newProduct.blobHash)
+        };
+        if (oldArchive.products[productId] === undefined) {
+            diff.status = 'added';
+        } else if (newArchive.products[productId] === undefined) {
+            diff.status = 'removed';
+        } else if (diff.name || diff.version || diff.message || diff.length || diff.hash) {
+            diff.status = 'changed';
+        }
+        if (oldProduct.blob !== undefined && newProduct.blob !== undefined)
+            Object.assign(diff, diffBlobs(oldProduct.blob, newProduct.blob));
+        products.push(diff);
+    }
+    return {
+        version: diffValues(oldArchive.version, newArchive.version),
+        products: products
+    };
+}
+
+module.exports = {
+    findChangedRanges,
+    extractStrings,
+    diffFirmwareArchives
+};
@@ -0,0 +1,128 @@
+// Base class for the errors that cause a firmware upload to fail.
+//
+// The code property identifies the kind of failure so that programs can tell them apart
+// without parsing the message.
+class UploadError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+// The blob is not the size of the device's firmware.
+class FirmwareSizeError extends UploadError {
+    constructor(expected, actual) {
+        super(`Incorrect firmware size, expected ${expected}, got ${actual}`, 'FIRMWARE_SIZE');
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+// The CRC stored in the blob does not match its contents.
+class FirmwareCRCError extends UploadError {
+    constructor() {
+        super('Incorrect firmware CRC', 'FIRMWARE_CRC');
+    }
+}
+
+// The device stopped replying.  seq is the last packet that the device requested.
+class UploadTimeoutError extends UploadError {
+    constructor(seq) {
+        super('Upload failed due to timeout, giving up', 'TIMEOUT');
+        this.seq = seq;
+    }
+}
+
+// The device reported that the data it received was corrupted.
+class DeviceCRCError extends UploadError {
+    constructor(seq) {
+        super('Upload failed due to CRC error', 'DEVICE_CRC_ERROR');
+        this.seq = seq;
+    }
+}
+
+// The device kept replying with packets that were out of sequence or malformed, so the
+// upload made no progress.  seq is the last packet that the device requested.
+class StaleRepliesError extends UploadError {
+    constructor(count, seq) {
+        super(`Upload failed after ${count} replies in a row that were out of sequence, giving up`, 'STALE_REPLIES');
+        this.count = count;
+        this.seq = seq;
+    }
+}
+
+// The upload did not complete before its deadline.  seq is the last packet that the device
+// requested.
+class UploadDeadlineError extends UploadError {
+    constructor(deadline, seq) {
+        super(`Upload did not complete within ${deadline / 1000} seconds, giving up`, 'DEADLINE');
+        this.deadline = deadline;
+        this.seq = seq;
+    }
+}
+
+// The upload was canceled through its AbortSignal before all data was sent.  seq is the last
+// packet that the device requested and bytes is how much data the device received.
+class UploadAbortedError extends UploadError {
+    constructor(seq, bytes, total) {
+        super(`Upload canceled after sending ${bytes} of ${total} bytes`, 'ABORTED');
+        this.seq = seq;
+        this.bytes = bytes;
+        this.total = total;
+    }
+}
+
+// The transport failed to exchange a packet with the device, for example because the
+// connection to the server was lost.  cause is the transport's error and seq is the last
+// packet that the device requested.
+class TransportError extends UploadError {
+    constructor(cause, seq) {
+        super(`Upload failed because the transport failed: ${cause.message}`, 'TRANSPORT');
+        this.cause = cause;
+        this.seq = seq;
+    }
+}
+
+// A device replied with something that does not follow its protocol.
+class ProtocolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// A call to a Zwave server, or to the Zwave controller on a serial port, got no result in
+// time.
+class ServerTimeoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// A transport that replays a capture was asked to send a packet that differs from the one
+// in the capture, or more packets than the capture holds.  index is the number of the
+// exchange in the capture, counting from 0.
+class ReplayError extends Error {
+    constructor(message, index) {
+        super(message);
+        this.name = this.constructor.name;
+        this.index = index;
+    }
+}
+
+module.exports = {
+    UploadError,
+    FirmwareSizeError,
+    FirmwareCRCError,
+    UploadTimeoutError,
+    DeviceCRCError,
+    StaleRepliesError,
+    UploadDeadlineError,
+    UploadAbortedError,
+    TransportError,
+    ProtocolError,
+    ServerTimeoutError,
+    ReplayError
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { crc32stm32 } = require('./crc');
+
+// The size of the firmware blobs accepted by the device.
+const knownFirmwareSize = 116 * 1024;
+
+// The last 4 bytes of each firmware blob hold the CRC32 of the rest of the blob, stored
+// little-endian as the device's STM32F101 stores words.  It is the CRC computed by the
+// microcontroller's CRC calculation unit over the blob's 32-bit words, see crc32stm32.
+//
+// The CRC variant was worked out without firmware from Intermatic to check it against, so an
+// incorrect CRC may only mean that the guess is wrong.  Until it is confirmed with a blob from
+// a vendor archive, uploads warn about an incorrect CRC rather than refusing the firmware.
+const firmwareCRCConfirmed = false;
+
+function checkFirmwareCRC(blob) {
+    if (blob.length < 8 || blob.length % 4 !== 0) return false;
+    const bytes = blob.subarray(blob.length - 4);
+    const expectedCRC = (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) >>> 0;
+    return crc32stm32(blob.subarray(0, blob.length - 4)) === expectedCRC;
+}
+
+function sha256(blob) {
+    let hash = crypto.createHash('sha256');
+    hash.update(blob);
+    return hash.digest('hex');
+}
+
+// Memory map of the device's flash memory, as inferred from backups (see README).
+const flashBaseAddress = 0x08000000;
+const flashSize = 0x40000;
+const flashRegions = [
+    { name: 'bootloader', address: 0x08000000, size: 0x2000 },
+    { name: 'firmware', address: 0x08002000, size: 0x1D000 },
+    { name: 'staged', address: 0x0801F000, size: 0x1D000 },
+    { name: 'nvdata', address: 0x0803C000, size: 0x4000 }
+];
+
+// The address at which the device runs the firmware, where the blobs start.
+const firmwareBaseAddress = flashRegions.find((region) => region.name === 'firmware').address;
+
+// The device's microcontroller is a Cortex-M whose firmware starts with a vector table: the
+// initial stack pointer followed by the addresses of the exception handlers.  Only the
+// vectors of the core exceptions are listed since the number of interrupt vectors depends
+// on the exact microcontroller.  Reserved vectors are null.
+const coreVectorNames = [
+    'initialSP', 'reset', 'nmi', 'hardFault', 'memManage', 'busFault', 'usageFault',
+    null, null, null, null, 'svCall', 'debugMonitor', null, 'pendSV', 'sysTick'
+];
+
+// Reads the core vectors from the start of a blob.  Returns an object with the vectors by
+// name, leaving out those beyond the end of the blob.
+function readVectorTable(blob) {
+    const vectors = {};
+    coreVectorNames.forEach((name, i) => {
+        if (name === null || blob.length < (i + 1) * 4) return;
+        vectors[name] = (blob[i * 4] | (blob[i * 4 + 1] << 8) | (blob[i * 4 + 2] << 16) | (blob[i * 4 + 3] << 24)) >>> 0;
+    });
+    return vectors;
+}
+
+function isErased(data) {
+    return data.every((byte) => byte === 0xff);
+}
+
+// Returns the number of bytes before the erased tail of the data.
+function writtenLength(data) {
+    let length = data.length;
+    while (length > 0 && data[length - 1] === 0xff) length--;
+    return length;
+}
+
+function commonPrefixLength(a, b) {
+    const length = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < length && a[i] === b[i]) i++;
+    return i;
+}
+
+// Compares a firmware image from flash with the blobs of known firmware archives.
+function analyzeFirmwareImage(data, knownBlobs) {
+    const image = {
+        crcValid: checkFirmwareCRC(data),
+        writtenLength: writtenLength(data),
+        matches: [],
+        partialMatch: null
+    };
+    for (const known of knownBlobs) {
+        const prefixLength = commonPrefixLength(data, known.blob);
+        if (prefixLength === known.blob.length && isErased(data.subarray(prefixLength))) {
+            image.matches.push(known.description);
+        } else if (prefixLength !== 0 && prefixLength >= image.writtenLength &&
+                (image.partialMatch === null || prefixLength > image.partialMatch.length)) {
+            image.partialMatch = { description: known.description, length: prefixLength };
+        }
+    }
+    return image;
+}
+
+// Splits a backup of the device's flash memory into regions according to the memory map
+// and identifies the active and staged firmware images among the blobs of the given archives.
+function analyzeFlashDump(dump, archives) {
+    const knownBlobs = [];
+    for (const archive of archives) {
+        for (const [productId, product] of Object.entries(archive.products)) {
+            if (product.blob === undefined) continue;
+            knownBlobs.push({
+                blob: product.blob,
+                description: `${productId} version ${product.version} from ${archive.version}`
+            });
+        }
+    }
+
+    const analysis = {
+        length: dump.length,
+        complete: dump.length === flashSize,
+        regions: {}
+    };
+    for (const region of flashRegions) {
+        const offset = region.address - flashBaseAddress;
+        const data = dump.subarray(offset, offset + region.size);
+        const result = {
+            address: region.address,
+            size: region.size,
+            length: data.length,
+            hash: sha256(data),
+            erased: isErased(data)
+        };
+        if (region.name === 'firmware' || region.name === 'staged')
+            result.image = analyzeFirmwareImage(data, knownBlobs);
+        analysis.regions[region.name] = result;
+    }
+
+    // The updater erases the staging area then fills it as packets arrive, and copies it over
+    // the active firmware once the transfer completes.
+    const firmware = analysis.regions.firmware;
+    const staged = analysis.regions.staged;
+    if (staged.length !== staged.size) {
+        analysis.staged = 'missing';
+    } else if (staged.erased) {
+        analysis.staged = 'erased';
+    } else if (staged.hash === firmware.hash) {
+        analysis.staged = 'same as active';
+    } else if (staged.image.crcValid) {
+        analysis.staged = 'complete but differs from active';
+    } else if (staged.image.writtenLength < staged.size) {
+        analysis.staged = 'partial';
+    } else {
+        analysis.staged = 'corrupt';
+    }
+    return analysis;
+}
+
+module.exports = {
+    knownFirmwareSize,
+    firmwareCRCConfirmed,
+    checkFirmwareCRC,
+    sha256,
+    flashBaseAddress,
+    flashSize,
+    flashRegions,
+    firmwareBaseAddress,
+    readVectorTable,
+    analyzeFlashDump
+};
@@ -0,0 +1,75 @@
+const { getProductId, compareFirmwareVersions } = require('./zwave');
+const { checkFirmwareImage } = require('./image');
+
+// Plans upgrading several nodes to the firmware in an archive.
+//
+// nodes: the nodes in the network, as returned by a server's listNodes()
+// options.nodeIds: only upgrade these nodes
+// options.products: only upgrade nodes of these products, e.g. ['PE0653']
+//
+// Returns an entry for each selected node, in the order of options.nodeIds if given or else
+// in the order of nodes, with these properties:
+//
+//    nodeId: the node's id
+//    node: the node as returned by listNodes(), or undefined if it is not in the network
+//    productId: the node's product id, e.g. 'PE0653', or null if it is not a PE653 / PE953
+//    product: the archive's firmware for the node, or undefined if there is none
+//    action: 'upgrade' or 'skip'
+//    reason: why the node is skipped
+//
+// Nodes are also skipped if the firmware for their product fails the checks of
+// checkFirmwareImage(), e.g. because the archive holds the firmware of another product.
+//
+// Nodes that are not PE653 / PE953 devices or not of the selected products are only listed
+// if they were explicitly selected by id.
+function planUpgrades(nodes, archive, options = {}) {
+    let selected;
+    if (options.nodeIds) {
+        selected = options.nodeIds.map((nodeId) => ({
+            nodeId: nodeId,
+            node: nodes.find((node) => node.nodeId === nodeId)
+        }));
+    } else {
+        selected = nodes.filter((node) => getProductId(node) !== null &&
+                (!options.products || options.products.includes(getProductId(node))))
+            .map((node) => ({ nodeId: node.nodeId, node: node }));
+    }
+
+    const imageFailures = new Map();
+    const checkImage = (productId, product) => {
+        if (product.blob === undefined) return null;
+        if (!imageFailures.has(productId)) {
+            const failed = checkFirmwareImage(product.blob, productId, product.version).find((check) => check.status === 'fail');
+            imageFailures.set(productId, !failed ? null :
+                failed.name === 'image' ? 'not a valid firmware image' : failed.message);
+        }
+        return imageFailures.get(productId);
+    };
+
+    return selected.map((entry) => {
+        const productId = entry.node ? getProductId(entry.node) : null;
+        const product = productId ? archive.products[productId] : undefined;
+        const plan = Object.assign(entry, { productId: productId, product: product, action: 'skip' });
+        if (!entry.node) {
+            plan.reason = 'not in the network';
+        } else if (productId === null) {
+            plan.reason = 'not a PE653 / PE953';
+        } else if (options.products && !options.products.includes(productId)) {
+            plan.reason = `not a ${options.products.join(' / ')}`;
+        } else if (product === undefined) {
+            plan.reason = `no firmware for ${productId} in the archive`;
+        } else if (entry.node.firmwareVersion !== undefined &&
+                compareFirmwareVersions(entry.node.firmwareVersion, product.version) === 0) {
+            plan.reason = `already running version ${product.version}`;
+        } else if (checkImage(productId, product) !== null) {
+            plan.reason = checkImage(productId, product);
+        } else {
+            plan.action = 'upgrade';
+        }
+        return plan;
+    });
+}
+
+module.exports = {
+    planUpgrades
+};
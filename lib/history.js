@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonl } = require('./jsonl');
+
+// The history of upgrades is a JSONL file: a header line followed by one line per upgrade.
+// Entries are only ever appended so that the history can serve as an audit log.
+//
+//    { type: 'header', format, version, createdAt }
+//    { type: 'upgrade', startedAt, nodeId, name, location, productId, oldFirmwareVersion,
+//      newFirmwareVersion, archive, blobHash, duration, exchanges, retries, staleReplies,
+//      outcome, verification, error }
+//
+// archive is the absolute path of the firmware archive or image and blobHash the SHA-256 hash
+// of the firmware.  duration is the time in milliseconds that the transfer took and outcome is
+// how it ended: 'confirmed', 'unconfirmed', 'failed' or 'canceled'.  verification is whether
+// the device then ran the new firmware ('verified', 'failed' or 'unverified'), or null if it
+// was not verified.  error is the message of the failure, if any.
+const historyFormat = 'zwave-pe653-history';
+const historyVersion = 1;
+const historyKind = { name: 'history', description: 'history of PE653 / PE953 upgrades',
+    format: historyFormat, version: historyVersion };
+
+// Where the history is kept unless another file is given.
+const defaultHistoryFile = path.join(os.homedir(), '.zwave-pe653', 'history.jsonl');
+
+// Creates a history entry for the upgrade of a node.
+//
+// upgrade.node: the node information from before the upgrade
+// upgrade.productId, product: the product of the node and its firmware from the archive
+// upgrade.archive: the path of the firmware archive or image
+// upgrade.startedAt: when the transfer started
+// upgrade.outcome, error, stats: what reportUpload resolved to
+// upgrade.verification: the result of verifyUpgrade, if the new firmware was verified
+function createHistoryEntry(upgrade) {
+    const { node, product, error, stats, verification } = upgrade;
+    return {
+        type: 'upgrade',
+        startedAt: upgrade.startedAt.toISOString(),
+        nodeId: node.nodeId,
+        name: node.name,
+        location: node.location,
+        productId: upgrade.productId,
+        oldFirmwareVersion: node.firmwareVersion,
+        newFirmwareVersion: product.version,
+        archive: path.resolve(upgrade.archive),
+        blobHash: product.blobHash,
+        duration: stats.elapsed,
+        exchanges: stats.exchanges,
+        retries: stats.retries,
+        staleReplies: stats.staleReplies,
+        outcome: error && error.code === 'ABORTED' ? 'canceled' : upgrade.outcome,
+        verification: verification ? verification.status : null,
+        error: error ? error.message : undefined
+    };
+}
+
+// Appends an entry to a history file, creating the file and its directory if needed.
+function appendHistory(file, entry) {
+    if (!fs.existsSync(file)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const header = { type: 'header', format: historyFormat, version: historyVersion,
+            createdAt: new Date().toISOString() };
+        fs.writeFileSync(file, JSON.stringify(header) + '\n');
+    }
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+// Reads the upgrades in a history file, oldest first, and only those of a node if nodeId is
+// given.  A history file that does not exist yet holds no upgrades.
+function readHistory(file, nodeId) {
+    if (!fs.existsSync(file)) return [];
+    const { entries } = readJsonl(file, historyKind);
+    return entries.filter((entry) => entry.type === 'upgrade' && (nodeId === undefined || entry.nodeId === nodeId));
+}
+
+module.exports = {
+    defaultHistoryFile,
+    createHistoryEntry,
+    appendHistory,
+    readHistory
+};
@@ -0,0 +1,140 @@
+// Reader for Intel HEX files such as those written by compilers and flash programmers.
+const { flashBaseAddress, flashSize, firmwareBaseAddress } = require('./firmware');
+
+const recordTypes = {
+    data: 0,
+    endOfFile: 1,
+    extendedSegmentAddress: 2,
+    startSegmentAddress: 3,
+    extendedLinearAddress: 4,
+    startLinearAddress: 5
+};
+
+// Parses a single record such as ':0400000001020304F2'.  Returns { type, offset, data }.
+function parseIhexRecord(line) {
+    if (!line.startsWith(':') || !/^:[0-9A-Fa-f]*$/.test(line))
+        throw new Error('Record does not start with a colon followed by hexadecimal digits');
+    if (line.length % 2 !== 1)
+        throw new Error('Record does not have an even number of digits');
+
+    const record = new Uint8Array((line.length - 1) / 2);
+    let checksum = 0;
+    for (let i = 0; i < record.length; i++) {
+        const byte = parseInt(line.substring(i * 2 + 1, i * 2 + 3), 16);
+        record[i] = byte;
+        checksum += byte;
+    }
+    if ((checksum & 255) !== 0)
+        throw new Error('Record does not have a zero checksum');
+
+    // [0]       length of record data
+    // [1..2]    record offset
+    // [3]       record type
+    // [4..len]  record data
+    // [len]     record checksum
+    if (record.length < 5 || record[0] + 4 + 1 !== record.length)
+        throw new Error('Record data length is invalid');
+    return {
+        type: record[3],
+        offset: (record[1] << 8) | record[2],
+        data: record.subarray(4, 4 + record[0])
+    };
+}
+
+// Parses the records of an Intel HEX file, which may have data records of any length in any
+// order, 16 bit segment or 32 bit linear addresses, and gaps between the data.
+//
+// Returns { chunks, startAddress } where chunks lists the data as { address, data } in the
+// order of the file and startAddress is the execution start address from a start segment or
+// start linear address record, or null if there is none.
+function parseIhex(text) {
+    const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length !== 0);
+    const chunks = [];
+    let base = 0;
+    let startAddress = null;
+    let ended = false;
+    lines.forEach((line, i) => {
+        if (ended)
+            throw new Error(`Line ${i + 1}: record after the end of file record`);
+        let record;
+        try {
+            record = parseIhexRecord(line);
+        } catch (error) {
+            throw new Error(`Line ${i + 1}: ${error.message}`);
+        }
+        const { type, offset, data } = record;
+        const expectLength = (length, name) => {
+            if (data.length !== length)
+                throw new Error(`Line ${i + 1}: ${name} record must have ${length} bytes of data`);
+        };
+        switch (type) {
+            case recordTypes.data:
+                if (data.length > 0) chunks.push({ address: base + offset, data: data });
+                break;
+            case recordTypes.endOfFile:
+                expectLength(0, 'End of file');
+                ended = true;
+                break;
+            case recordTypes.extendedSegmentAddress:
+                expectLength(2, 'Extended segment address');
+                base = ((data[0] << 8) | data[1]) << 4;
+                break;
+            case recordTypes.startSegmentAddress:
+                expectLength(4, 'Start segment address');
+                startAddress = (((data[0] << 8) | data[1]) << 4) + ((data[2] << 8) | data[3]);
+                break;
+            case recordTypes.extendedLinearAddress:
+                expectLength(2, 'Extended linear address');
+                base = ((data[0] << 24) | (data[1] << 16)) >>> 0;
+                break;
+            case recordTypes.startLinearAddress:
+                expectLength(4, 'Start linear address');
+                startAddress = ((data[0] << 24) | (data[1] << 16) | (data[2] << 8) | data[3]) >>> 0;
+                break;
+            default:
+                throw new Error(`Line ${i + 1}: unknown record type ${type}`);
+        }
+    });
+    if (!ended)
+        throw new Error('The file has no end of file record');
+    return { chunks: chunks, startAddress: startAddress };
+}
+
+// Assembles the data of a parsed Intel HEX file into a blob that starts at the firmware's
+// base address, filling the gaps with 0xff like erased flash memory.
+//
+// Files written by compilers place the firmware at its address in flash memory while those
+// extracted from firmware archives start at 0, so the firmware's base address is only
+// subtracted from addresses in flash memory.
+function assembleIhexImage(ihex) {
+    if (ihex.chunks.length === 0)
+        throw new Error('The file has no data');
+    const absolute = ihex.chunks.some((chunk) => chunk.address >= flashBaseAddress);
+    const base = absolute ? firmwareBaseAddress : 0;
+    const maxLength = absolute ? flashBaseAddress + flashSize - firmwareBaseAddress : flashSize;
+
+    let length = 0;
+    for (const chunk of ihex.chunks) {
+        if (chunk.address < base || chunk.address + chunk.data.length > base + maxLength)
+            throw new Error(`Data at 0x${chunk.address.toString(16).toUpperCase().padStart(8, '0')} is outside ` +
+                (absolute ? 'the firmware area of the flash memory' : 'the flash memory'));
+        length = Math.max(length, chunk.address - base + chunk.data.length);
+    }
+
+    const blob = new Uint8Array(length).fill(0xff);
+    const written = new Uint8Array(length);
+    for (const chunk of ihex.chunks) {
+        const offset = chunk.address - base;
+        if (written.subarray(offset, offset + chunk.data.length).some((byte) => byte !== 0))
+            throw new Error(`Data at 0x${chunk.address.toString(16).toUpperCase().padStart(8, '0')} overlaps other data`);
+        blob.set(chunk.data, offset);
+        written.fill(1, offset, offset + chunk.data.length);
+    }
+    return blob;
+}
+
+module.exports = {
+    parseIhexRecord,
+    parseIhex,
+    assembleIhexImage
+};
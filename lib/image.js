@@ -0,0 +1,134 @@
+// Identification of firmware images by their contents.
+const { flashRegions, readVectorTable } = require('./firmware');
+const { extractStrings } = require('./diff');
+const { compareFirmwareVersions } = require('./zwave');
+
+// The microcontroller has 32 KB of RAM, where the stack of the firmware must be, and runs the
+// firmware from the firmware region of the flash memory, where its code must be.
+const ramBaseAddress = 0x20000000;
+const ramSize = 32 * 1024;
+const firmwareRegion = flashRegions.find((region) => region.name === 'firmware');
+
+// Patterns of the strings that identify the product and version of a firmware image.  The
+// firmware of a product is assumed to name its own product, e.g. 'PE653' or 'PE-0653', and
+// its version, e.g. 'V3.4' or 'Version 3.4', somewhere in its printable strings.  Images
+// without such strings cannot be identified.
+const productPatterns = {
+    PE0653: /\bPE[- ]?0?653\b/i,
+    PE0953: /\bPE[- ]?0?953\b/i
+};
+const versionPattern = /\b(?:v|ver|version|rev)[.:]? ?(\d+\.\d+(?:\.\d+)?)\b/i;
+
+function formatAddress(address) {
+    return '0x' + address.toString(16).toUpperCase().padStart(8, '0');
+}
+
+function isInFirmware(address) {
+    return address >= firmwareRegion.address && address < firmwareRegion.address + firmwareRegion.size;
+}
+
+// Checks that a blob starts with a plausible vector table.  Returns a list of problems,
+// empty if the vector table is valid.
+function validateVectorTable(blob) {
+    const vectors = readVectorTable(blob);
+    if (vectors.reset === undefined)
+        return ['the image is too short to hold a vector table'];
+
+    const problems = [];
+    // The stack grows down from the initial stack pointer, which may point just past the end of RAM.
+    if (vectors.initialSP <= ramBaseAddress || vectors.initialSP > ramBaseAddress + ramSize || vectors.initialSP % 4 !== 0)
+        problems.push(`the initial stack pointer ${formatAddress(vectors.initialSP)} is not inside the 32 KB of RAM ` +
+            `at ${formatAddress(ramBaseAddress)}`);
+    // Handler addresses have their lowest bit set to select the Thumb instruction set.
+    if (!isInFirmware(vectors.reset & ~1))
+        problems.push(`the reset handler ${formatAddress(vectors.reset)} is not inside the firmware at ` +
+            `${formatAddress(firmwareRegion.address)}-${formatAddress(firmwareRegion.address + firmwareRegion.size - 1)}`);
+    else if ((vectors.reset & 1) === 0)
+        problems.push(`the reset handler ${formatAddress(vectors.reset)} is not a Thumb address`);
+    return problems;
+}
+
+// Analyzes the contents of a firmware blob.
+//
+// Returns:
+//    vectors: the core vectors, see readVectorTable()
+//    vectorTableProblems: what is wrong with the vector table, see validateVectorTable()
+//    productStrings: the strings that name a product as { address, text, productId }
+//    versionStrings: the strings that hold a version as { address, text, version }
+//    productId: the product the blob is for, or null if its strings name no product or
+//        several products
+function identifyFirmwareImage(blob) {
+    const strings = extractStrings(blob);
+    const productStrings = [];
+    const versionStrings = [];
+    for (const string of strings) {
+        for (const [productId, pattern] of Object.entries(productPatterns)) {
+            if (pattern.test(string.text))
+                productStrings.push(Object.assign({ productId: productId }, string));
+        }
+        const match = versionPattern.exec(string.text);
+        if (match)
+            versionStrings.push(Object.assign({ version: match[1] }, string));
+    }
+    const productIds = new Set(productStrings.map((string) => string.productId));
+    return {
+        vectors: readVectorTable(blob),
+        vectorTableProblems: validateVectorTable(blob),
+        productStrings: productStrings,
+        versionStrings: versionStrings,
+        productId: productIds.size === 1 ? productIds.values().next().value : null
+    };
+}
+
+// Checks that a blob looks like the firmware for a product and version.
+//
+// Returns a list of { name, status, message } like runPreflightChecks() where status is
+// 'pass', 'warn' or 'fail':
+//    image: the vector table is valid
+//    image product: the strings of the image name the product, fails if they name another
+//        product and warns if they name none
+//    image version: the strings of the image hold the version, warns if they hold other
+//        versions, left out if they hold none
+function checkFirmwareImage(blob, productId, version) {
+    const analysis = identifyFirmwareImage(blob);
+    const checks = [];
+
+    if (analysis.vectorTableProblems.length > 0) {
+        checks.push({ name: 'image', status: 'fail',
+            message: `this is not a valid firmware image, ${analysis.vectorTableProblems.join(' and ')}` });
+    } else {
+        checks.push({ name: 'image', status: 'pass',
+            message: `valid vector table, reset handler at ${formatAddress(analysis.vectors.reset)}` });
+    }
+
+    const named = [...new Set(analysis.productStrings.map((string) => string.productId))];
+    if (analysis.productId === productId) {
+        checks.push({ name: 'image product', status: 'pass', message: `the image names product ${productId}` });
+    } else if (named.length === 0) {
+        checks.push({ name: 'image product', status: 'warn',
+            message: `the image does not name its product, it cannot be confirmed to be ${productId} firmware` });
+    } else if (!named.includes(productId)) {
+        checks.push({ name: 'image product', status: 'fail',
+            message: `the image is ${named.join(' / ')} firmware rather than ${productId} firmware` });
+    } else {
+        checks.push({ name: 'image product', status: 'warn',
+            message: `the image names products ${named.join(' and ')}, it cannot be confirmed to be ${productId} firmware` });
+    }
+
+    if (analysis.versionStrings.length > 0) {
+        const versions = [...new Set(analysis.versionStrings.map((string) => string.version))];
+        if (versions.some((other) => compareFirmwareVersions(other, version) === 0)) {
+            checks.push({ name: 'image version', status: 'pass', message: `the image holds version ${version}` });
+        } else {
+            checks.push({ name: 'image version', status: 'warn',
+                message: `the image holds version ${versions.join(', ')} rather than ${version}` });
+        }
+    }
+    return checks;
+}
+
+module.exports = {
+    validateVectorTable,
+    identifyFirmwareImage,
+    checkFirmwareImage
+};
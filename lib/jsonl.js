@@ -0,0 +1,29 @@
+const fs = require('fs');
+
+// Reads a JSONL file that starts with a header line { type: 'header', format, version }, such
+// as a history of upgrades or a capture of exchanges.  Returns { header, entries } where
+// entries are the lines after the header.
+//
+// kind.name: what the file is called in errors, e.g. 'history'
+// kind.description: what the file holds, e.g. 'history of PE653 / PE953 upgrades'
+// kind.format, version: the format and version that the header must have
+function readJsonl(file, kind) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter((line) => line.trim() !== '');
+    const entries = lines.map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Line ${i + 1} of the ${kind.name} is not valid JSON: ${error.message}`);
+        }
+    });
+    const header = entries.shift();
+    if (!header || header.type !== 'header' || header.format !== kind.format)
+        throw new Error(`This is not a ${kind.description}`);
+    if (header.version !== kind.version)
+        throw new Error(`Unsupported ${kind.name} version ${header.version}, expected ${kind.version}`);
+    return { header: header, entries: entries };
+}
+
+module.exports = {
+    readJsonl
+};
@@ -0,0 +1,93 @@
+// Commands understood by the PE653 controller.
+const { ProtocolError } = require('./errors');
+
+// The PE653 is controlled with Manufacturer Proprietary commands.  The updater reads the
+// controller's clock with a fixed request, to which the controller replies with a report
+// that holds the hours and minutes at offsets 14 and 15:
+//
+//    request: [0x40, 0x01, 0x01, 0x83, 0x01, 0x01]
+//    report:  [0x40, ..., hours, minutes, ...]
+//
+// The report holds more than the clock, such as the state of the circuits, pump and heater,
+// but the positions of those values have not been confirmed against a real controller so
+// they are not decoded.
+const clockRequest = [0x40, 0x01, 0x01, 0x83, 0x01, 0x01];
+const clockReport = 0x40;
+
+// Offsets of the fields in the report.
+const clockReportFields = {
+    hours: 14,
+    minutes: 15
+};
+
+// Builds the request for the controller's clock.  The reply to this request is parsed by
+// parseClock().
+function encodeClockRequest() {
+    return clockRequest.slice();
+}
+
+// Checks that a reply is a clock report that is long enough to contain the given field.
+function checkClockReport(reply, field) {
+    if (!reply || reply.length < 1 || reply[0] !== clockReport)
+        throw new ProtocolError('The reply is not a PE653 clock report');
+    const offset = clockReportFields[field];
+    if (reply.length <= offset)
+        throw new ProtocolError(`The PE653 clock report is too short to contain the ${field}, ` +
+            `expected at least ${offset + 1} bytes, got ${reply.length}`);
+    return reply[offset];
+}
+
+function checkRange(name, value, min, max) {
+    if (value < min || value > max)
+        throw new ProtocolError(`The PE653 reported an invalid ${name}: ${value}`);
+    return value;
+}
+
+// Parses a clock report.  Returns { hours, minutes }.
+function parseClock(reply) {
+    return {
+        hours: checkRange('hour', checkClockReport(reply, 'hours'), 0, 23),
+        minutes: checkRange('minute', checkClockReport(reply, 'minutes'), 0, 59)
+    };
+}
+
+// Builds a clock report, the reverse of parseClock(), for simulating a controller.  The
+// bytes that are not decoded are left 0.
+function encodeClockReport(clock) {
+    const report = new Array(clockReportFields.minutes + 1).fill(0);
+    report.splice(0, clockRequest.length, ...clockRequest);
+    report[clockReportFields.hours] = clock.hours;
+    report[clockReportFields.minutes] = clock.minutes;
+    return report;
+}
+
+// Asks the controller for its clock.  Returns { hours, minutes }, or null if the controller
+// did not reply.
+async function getClock(transport) {
+    const reply = await transport.sendAndReceive(encodeClockRequest());
+    if (!reply) return null;
+    return parseClock(Array.from(reply));
+}
+
+// Returns the controller's time as a string such as '12:34', or null if the controller did
+// not reply or the reply could not be understood.
+async function getTime(transport) {
+    let clock;
+    try {
+        clock = await getClock(transport);
+    } catch (error) {
+        if (!(error instanceof ProtocolError)) throw error;
+        return null;
+    }
+    if (!clock) return null;
+    return `${clock.hours}:${String(clock.minutes).padStart(2, '0')}`;
+}
+
+module.exports = {
+    clockReportFields,
+    encodeClockRequest,
+    encodeClockReport,
+    parseClock,
+    getClock,
+    getTime
+};
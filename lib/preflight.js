@@ -0,0 +1,136 @@
+const { getProductId, compareFirmwareVersions } = require('./zwave');
+const { getTime } = require('./pe653');
+const { checkFirmwareImage } = require('./image');
+
+const preflightDefaults = {
+    minBatteryLevel: 50,
+    minRSSI: -85,
+    maxFailureRate: 0.1
+};
+
+// zwave-js reports RSSI values from this one up in place of a measurement.
+const rssiErrorMin = 125;
+
+function pass(name, message) {
+    return { name: name, status: 'pass', message: message };
+}
+
+function warn(name, message) {
+    return { name: name, status: 'warn', message: message };
+}
+
+function fail(name, message) {
+    return { name: name, status: 'fail', message: message };
+}
+
+// Checks that the node replies to a command.  The PE653 is asked for its time, which
+// exercises the same manufacturer proprietary commands as the upload.  The PE953 does not
+// reply to those outside of an upload so it is pinged instead.
+async function checkReachable(server, nodeInfo) {
+    const name = 'reachable';
+    if (getProductId(nodeInfo) === 'PE0653') {
+        const start = Date.now();
+        const time = await getTime(server.createTransport(nodeInfo.nodeId));
+        if (time === null)
+            return fail(name, 'the device did not reply to a request for its time');
+        return pass(name, `the device replied with its time ${time} in ${Date.now() - start} ms`);
+    }
+    if (!await server.pingNode(nodeInfo.nodeId))
+        return fail(name, 'the device did not respond to a ping');
+    return pass(name, 'the device responded to a ping');
+}
+
+// Checks that the battery of the PE953 will last for the upload.
+async function checkBattery(server, nodeInfo, options) {
+    const name = 'battery';
+    const level = await server.getBatteryLevel(nodeInfo.nodeId);
+    if (level === undefined)
+        return warn(name, 'the battery level is unknown');
+    if (level < options.minBatteryLevel)
+        return fail(name, `the battery level is ${level}%, below the minimum of ${options.minBatteryLevel}%`);
+    return pass(name, `the battery level is ${level}%`);
+}
+
+// Checks that the firmware is newer than the firmware the node is running.
+function checkVersion(nodeInfo, product) {
+    const name = 'version';
+    const current = nodeInfo.firmwareVersion;
+    if (current === undefined || current === null)
+        return warn(name, `the current firmware version is unknown, the new version is ${product.version}`);
+    const comparison = compareFirmwareVersions(product.version, current);
+    if (comparison === 0)
+        return fail(name, `the device is already running firmware version ${current}`);
+    if (comparison < 0)
+        return fail(name, `firmware version ${product.version} is older than the current version ${current}`);
+    return pass(name, `upgrading from firmware version ${current} to ${product.version}`);
+}
+
+// Checks the statistics that the gateway collected about the communication with the node.
+async function checkLinkQuality(server, nodeInfo, options) {
+    const name = 'link quality';
+    const statistics = await server.getNodeStatistics(nodeInfo.nodeId);
+    if (!statistics)
+        return warn(name, 'the link quality is unknown');
+
+    const problems = [];
+    const details = [];
+    if (typeof statistics.rssi === 'number' && statistics.rssi < rssiErrorMin) {
+        details.push(`RSSI ${statistics.rssi} dBm`);
+        if (statistics.rssi < options.minRSSI)
+            problems.push(`the signal strength is below ${options.minRSSI} dBm`);
+    }
+    if (statistics.commandsTX > 0) {
+        const failures = (statistics.commandsDroppedTX || 0) + (statistics.timeoutResponse || 0);
+        const rate = failures / statistics.commandsTX;
+        details.push(`${failures} of ${statistics.commandsTX} commands failed`);
+        if (rate > options.maxFailureRate)
+            problems.push(`more than ${Math.round(options.maxFailureRate * 100)}% of the commands failed`);
+    }
+    if (typeof statistics.rtt === 'number')
+        details.push(`round trip time ${Math.round(statistics.rtt)} ms`);
+
+    if (details.length === 0)
+        return warn(name, 'the link quality is unknown');
+    if (problems.length > 0)
+        return warn(name, `poor link, ${problems.join(' and ')} (${details.join(', ')})`);
+    return pass(name, details.join(', '));
+}
+
+// Runs the checks that should pass before uploading firmware to a node, starting with the
+// checks of the firmware image against the node's product, see checkFirmwareImage().
+//
+// nodeInfo: the node as returned by a server's getNodeInfo()
+// product: the firmware to upload, from the archive's products
+// options.minBatteryLevel: the minimum battery level of a PE953 in percent
+// options.minRSSI: the signal strength in dBm below which the link is considered poor
+// options.maxFailureRate: the share of failed commands above which the link is considered poor
+//
+// Resolves to a list of { name, status, message } where status is 'pass', 'warn' or 'fail'.
+// A check that throws an error fails.
+async function runPreflightChecks(server, nodeInfo, product, options = {}) {
+    options = Object.assign({}, preflightDefaults, options);
+    const checks = [
+        ['reachable', () => checkReachable(server, nodeInfo)],
+        ['version', () => checkVersion(nodeInfo, product)],
+        ['link quality', () => checkLinkQuality(server, nodeInfo, options)]
+    ];
+    if (getProductId(nodeInfo) === 'PE0953')
+        checks.splice(1, 0, ['battery', () => checkBattery(server, nodeInfo, options)]);
+    if (product.blob !== undefined && getProductId(nodeInfo) !== null)
+        checks.unshift(['image', () => checkFirmwareImage(product.blob, getProductId(nodeInfo), product.version)]);
+
+    const results = [];
+    for (const [name, check] of checks) {
+        try {
+            results.push(...[].concat(await check()));
+        } catch (error) {
+            results.push(fail(name, error.message));
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    preflightDefaults,
+    runPreflightChecks
+};
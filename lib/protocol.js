@@ -0,0 +1,59 @@
+// Protocol used to send firmware to the device.
+//
+// The protocol consists of a bidirectional flow of messages from the updater to the
+// device using the Zwave ManufacturerProprietary Command Class.
+//
+// Each packet consists of an 8-bit command code, an 8-bit packet type, a 16-bit
+// little-endian sequence number, up to 32 bytes of data, and a 16-bit little-endian
+// CRC of that data, depending on the packet type.
+//
+// The updater first sends a packet to start the transfer then waits
+// for the device to request data blocks and sends the requested data until the
+// transfer is done.  The updater then waits for the device to confirm whether the
+// transfer completed successfully.  The device controls the rate at which data is
+// requested and transferred and is responsible for incrementing the sequence number.
+//
+// Note that the sequence number never rolls over to zero during a transfer.
+//
+// start transfer:
+//    send packet [CMD, START]
+//
+// on received packet [CMD, DATA_REQUEST, seq]:
+//    if seq != last seq + 1 and seq != 0, ignore message
+//    if seq * 32 >= data length, send packet [CMD, DONE, seq]
+//    send packet [CMD, DATA, seq, up to 32 bytes of data starting at offset seq * 32, crc16 of packet]
+//
+// on received packet [CMD, DONE, seq]:
+//    transfer succeeded
+//    NOTE: It seems that these devices don't actually send a DONE packet at the end of
+//          the transfer or it gets lost in transit although the firmware updater expects
+//          to receive one.
+//
+// on received packet [CMD, CRC_ERROR, seq]:
+//    transfer failed
+//
+// when no DATA_REQUEST packet is received for 10 seconds:
+//    timeout, resend last packet
+//
+// unrecognized packets are ignored
+//
+// The device seems to give up on a transfer and reset when it receives no packets for about
+// 10 seconds, keeping its current firmware, after which a new transfer can start.
+const deviceTimeout = 10000;
+
+const packetStart = 0;
+const packetData = 2;
+const packetDataRequest = 3;
+const packetDone = 6;
+const packetCRCError = 7;
+const commandFirmwareTransfer = 42;
+
+module.exports = {
+    packetStart,
+    packetData,
+    packetDataRequest,
+    packetDone,
+    packetCRCError,
+    commandFirmwareTransfer,
+    deviceTimeout
+};
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const { crc16update } = require('./crc');
+const { knownFirmwareSize, checkFirmwareCRC } = require('./firmware');
+const {
+    packetStart,
+    packetData,
+    packetDataRequest,
+    packetDone,
+    packetCRCError,
+    commandFirmwareTransfer,
+    deviceTimeout
+} = require('./protocol');
+const { encodeClockRequest, encodeClockReport } = require('./pe653');
+
+// Scenarios for the DeviceSimulator.
+//
+// Faults on the link are scripted by exchange number (counting each packet sent by the
+// updater from 0) or happen at random with the given probability:
+//    dropSend, dropSendRate: the packet sent by the updater is lost
+//    dropReply, dropReplyRate: the reply from the device is lost
+//    corrupt, corruptRate: the packet is corrupted in transit so its CRC is wrong
+//    duplicate, duplicateRate: the device's reply is duplicated and the copy arrives
+//        ahead of the reply to the next exchange
+//    delay, delayRate: the device's reply is delayed until the next exchange
+//
+// Faults on the device are scripted by sequence number:
+//    crcErrorAt: the device reports a CRC error upon receiving this data packet
+//    resetAt: the device gives up and resets instead of requesting this data packet
+//
+// Other parameters:
+//    seed: seed for the random faults
+//    latency: round trip time of each exchange in milliseconds
+//    replyTimeout: simulated time in milliseconds that the updater waits for a reply
+//    deviceTimeout: simulated time in milliseconds after which the device resets if it
+//        has not received any packets
+//    sendDone: whether the device confirms the transfer, real devices don't seem to
+//    clock: the { hours, minutes } that the device reports when asked, see pe653.js
+const simulatorScenarios = {
+    'default': {},
+    'ideal': { sendDone: true },
+    'lossy': {
+        dropSendRate: 0.03,
+        dropReplyRate: 0.03,
+        corruptRate: 0.01,
+        duplicateRate: 0.01,
+        delayRate: 0.01
+    },
+    'crc-error': { crcErrorAt: [1000] },
+    'device-reset': { resetAt: [2000] },
+    'unreachable': { dropSendRate: 1 }
+};
+
+const simulatorDefaults = {
+    seed: 1,
+    latency: 5,
+    replyTimeout: 2000,
+    deviceTimeout: deviceTimeout,
+    sendDone: false,
+    dropSend: [],
+    dropSendRate: 0,
+    dropReply: [],
+    dropReplyRate: 0,
+    corrupt: [],
+    corruptRate: 0,
+    duplicate: [],
+    duplicateRate: 0,
+    delay: [],
+    delayRate: 0,
+    crcErrorAt: [],
+    resetAt: [],
+    clock: { hours: 12, minutes: 34 }
+};
+
+// Loads a scenario by name or from a JSON file.
+function loadSimulatorScenario(nameOrFile) {
+    if (simulatorScenarios[nameOrFile] !== undefined)
+        return simulatorScenarios[nameOrFile];
+    if (!fs.existsSync(nameOrFile))
+        throw new Error(`Unknown scenario ${nameOrFile}`);
+    return JSON.parse(fs.readFileSync(nameOrFile, 'utf8'));
+}
+
+// Small seeded pseudo-random number generator (mulberry32) so that runs are reproducible.
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Simulates the firmware updater of a PE653 / PE953 along with the link between it
+// and the updater, injecting faults as described by a scenario.
+//
+// Time is simulated so that device timeouts can be exercised without waiting for them.
+// The image received by the device is available afterwards for comparison with the blob.
+class DeviceSimulator {
+    constructor(scenario = {}, debug) {
+        this._scenario = Object.assign({}, simulatorDefaults, scenario);
+        this._debug = debug;
+        this._random = createRandom(this._scenario.seed);
+        this._exchange = 0;
+        this._now = 0;
+        this._lastReceived = 0;
+        this._early = null;
+        this._nextSeq = 0;
+        this._state = 'wait';
+        this._blob = new Uint8Array(knownFirmwareSize);
+        this._receivedLength = 0;
+        // The clock that the device reports when asked, which may be changed.
+        this.clock = Object.assign({}, this._scenario.clock);
+        this.stats = { exchanges: 0, dropped: 0, corrupted: 0, duplicated: 0, delayed: 0, resets: 0 };
+    }
+
+    // The state of the device: 'wait', 'transfer', 'done' or 'error'.
+    get state() {
+        return this._state;
+    }
+
+    // The data received by the device so far.
+    get receivedImage() {
+        return this._blob.subarray(0, this._receivedLength);
+    }
+
+    // Sets the clock of the device, which it receives with the Clock command class rather
+    // than through the transport.
+    setClock(hours, minutes, weekday) {
+        this.clock = { hours: hours, minutes: minutes };
+        this.weekday = weekday;
+    }
+
+    sendAndReceive(packet) {
+        const reply = this._exchangePacket(Uint8Array.from(packet));
+        if (this._scenario.latency === 0) return Promise.resolve(reply);
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                resolve(reply);
+            }, this._scenario.latency);
+        });
+    }
+
+    _exchangePacket(packet) {
+        const exchange = this._exchange++;
+        this.stats.exchanges++;
+        this._now += this._scenario.latency;
+
+        const early = this._early;
+        this._early = null;
+
+        let reply = null;
+        if (this._fault(exchange, 'dropSend')) {
+            this._log(`!! Packet lost in transit (exchange ${exchange})`);
+            this.stats.dropped++;
+        } else {
+            if (packet.length > 4 && this._fault(exchange, 'corrupt')) {
+                this._log(`!! Packet corrupted in transit (exchange ${exchange})`);
+                this.stats.corrupted++;
+                packet[4 + Math.floor(this._random() * (packet.length - 4))] ^= 0x10;
+            }
+            reply = this._handlePacket(packet);
+        }
+
+        if (reply !== null) {
+            if (this._fault(exchange, 'dropReply')) {
+                this._log(`!! Reply lost in transit (exchange ${exchange})`);
+                this.stats.dropped++;
+                reply = null;
+            } else if (this._fault(exchange, 'delay')) {
+                this._log(`!! Reply delayed (exchange ${exchange})`);
+                this.stats.delayed++;
+                this._early = reply;
+                reply = null;
+            } else if (this._fault(exchange, 'duplicate')) {
+                this._log(`!! Reply duplicated (exchange ${exchange})`);
+                this.stats.duplicated++;
+                this._early = reply;
+            }
+        }
+
+        // A reply left over from the previous exchange arrives first and the updater stops waiting.
+        if (early !== null) reply = early;
+        if (reply === null) this._now += this._scenario.replyTimeout;
+        return reply;
+    }
+
+    _fault(exchange, name) {
+        return this._scenario[name].includes(exchange) || this._random() < this._scenario[name + 'Rate'];
+    }
+
+    _handlePacket(packet) {
+        const clockRequest = encodeClockRequest();
+        if (packet.length === clockRequest.length && clockRequest.every((byte, i) => packet[i] === byte))
+            return encodeClockReport(this.clock);
+        if (packet.length < 2 || packet[0] !== commandFirmwareTransfer) return null;
+
+        if (this._state !== 'wait' && this._now - this._lastReceived > this._scenario.deviceTimeout) {
+            this._reset('timeout');
+        }
+        this._lastReceived = this._now;
+
+        const type = packet[1];
+        const seq = packet.length >= 4 ? packet[2] | (packet[3] << 8) : -1;
+        switch (type) {
+            case packetStart: {
+                // The device requests the first packet again if the updater missed the request.
+                if (this._state === 'transfer' && this._nextSeq === 0) break;
+                if (this._state !== 'wait') return null;
+
+                this._log('!! START');
+                this._state = 'transfer';
+                this._nextSeq = 0;
+                this._receivedLength = 0;
+                break;
+            }
+            case packetData: {
+                if (this._state !== 'transfer' || packet.length < 6) return null;
+
+                // The device requests the next packet again if the updater missed the request.
+                if (seq === this._nextSeq - 1) break;
+                if (seq !== this._nextSeq) return null;
+
+                const data = packet.subarray(4, packet.length - 2);
+                const crc = packet[packet.length - 2] | (packet[packet.length - 1] << 8);
+                let check = 0;
+                for (let i = 0; i < packet.length - 2; i++)
+                    check = crc16update(check, packet[i]);
+                this._log(`!! DATA(${packet.length}) seq ${seq} - ${data} - crc 0x${crc.toString(16)} (0x${check.toString(16)})`);
+                if (check !== crc) return null; // presumably the receiver ignores the packet to await a retransmit
+
+                const offset = seq * 32;
+                if (offset + data.length > this._blob.length) {
+                    this._log(`!! Received blob too large`);
+                    this._state = 'error';
+                    break;
+                }
+                if (this._scenario.crcErrorAt.includes(seq)) {
+                    this._log(`!! Reporting CRC error at seq ${seq}`);
+                    this._state = 'error';
+                    break;
+                }
+
+                this._blob.set(data, offset);
+                this._receivedLength = offset + data.length;
+                this._nextSeq++;
+                if (this._scenario.resetAt.includes(this._nextSeq)) {
+                    this._reset(`scripted at seq ${this._nextSeq}`);
+                    return null;
+                }
+                break;
+            }
+            case packetDone: {
+                if (this._state === 'done') break;
+                if (this._state !== 'transfer' || this._nextSeq !== seq || packet.length < 4) return null;
+
+                this._log(`!! DONE ${seq}`);
+                this._state = checkFirmwareCRC(this.receivedImage) ? 'done' : 'error';
+                break;
+            }
+        }
+
+        switch (this._state) {
+            case 'transfer':
+                return [commandFirmwareTransfer, packetDataRequest,
+                        this._nextSeq & 255, this._nextSeq >> 8];
+            case 'error':
+                return [commandFirmwareTransfer, packetCRCError,
+                        this._nextSeq & 255, this._nextSeq >> 8];
+            case 'done':
+                if (this._scenario.sendDone)
+                    return [commandFirmwareTransfer, packetDone,
+                            this._nextSeq & 255, this._nextSeq >> 8];
+        }
+        return null;
+    }
+
+    _reset(reason) {
+        this._log(`!! Device reset (${reason})`);
+        this.stats.resets++;
+        this._state = 'wait';
+        this._nextSeq = 0;
+    }
+
+    _log(message) {
+        if (this._debug)
+            console.log(message);
+    }
+}
+
+module.exports = {
+    simulatorScenarios,
+    loadSimulatorScenario,
+    DeviceSimulator
+};
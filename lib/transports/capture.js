@@ -0,0 +1,171 @@
+const fs = require('fs');
+const { ReplayError } = require('../errors');
+const { readJsonl } = require('../jsonl');
+
+// Captures of the packets exchanged with a device are JSONL files: a header line followed by
+// one line per exchange, and for uploads a line with how long the upload took.
+//
+//    { type: 'header', format, version, createdAt, ... }
+//    { type: 'exchange', index, sentAt, send, reply, latency, timeout, expired }
+//    { type: 'end', elapsed }
+//
+// send and reply are arrays of bytes, reply is null and timeout is true if no reply arrived
+// in time, and latency is the time in milliseconds that the exchange took.  expired is true
+// if the upload stopped waiting for the reply before the transport gave up on it.  If the
+// transport failed, the exchange has an error with the message of the error instead of a
+// reply.  The header holds the metadata passed to the RecordTransport, such as the command
+// that was run and the policy of an upload, and elapsed is in milliseconds.
+const captureFormat = 'zwave-pe653-capture';
+const captureVersion = 1;
+const captureKind = { name: 'capture', description: 'capture of exchanges with a PE653 / PE953',
+    format: captureFormat, version: captureVersion };
+
+// Records the packets exchanged by another transport to a capture file.  Each exchange is
+// written as soon as it completes so that the capture survives a crash.
+//
+// When sendAndReceive() is given a timeout, as FirmwareUpload does, a reply that arrives
+// later is recorded as a timeout since the upload took it as lost.
+class RecordTransport {
+    constructor(inner, file, metadata = {}) {
+        this._inner = inner;
+        this._file = file;
+        this._index = 0;
+        const header = Object.assign({}, metadata, { type: 'header', format: captureFormat, version: captureVersion,
+            createdAt: new Date().toISOString() });
+        fs.writeFileSync(file, JSON.stringify(header) + '\n');
+    }
+
+    async sendAndReceive(packet, timeout) {
+        // The time at which the packet was sent and the latency come from the same reading of
+        // the clock, so that they add up to the time at which the exchange ended.
+        const start = Date.now();
+        const exchange = {
+            type: 'exchange',
+            index: this._index++,
+            sentAt: new Date(start).toISOString(),
+            send: Array.from(packet)
+        };
+        let reply;
+        let timer;
+        try {
+            const received = this._inner.sendAndReceive(packet);
+            if (timeout > 0) {
+                // The reply or failure of the inner transport no longer matters once the time is up.
+                received.catch(() => {});
+                const expired = new Promise((resolve) => {
+                    timer = setTimeout(() => {
+                        exchange.expired = true;
+                        resolve(null);
+                    }, timeout);
+                });
+                reply = await Promise.race([received, expired]);
+            } else {
+                reply = await received;
+            }
+        } catch (error) {
+            exchange.latency = Date.now() - start;
+            exchange.error = error.message;
+            this._write(exchange);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+        exchange.latency = Date.now() - start;
+        exchange.reply = reply ? Array.from(reply) : null;
+        exchange.timeout = !reply;
+        this._write(exchange);
+        return reply;
+    }
+
+    // Records how long the upload took, see FirmwareUpload.
+    finish(elapsed) {
+        this._write({ type: 'end', elapsed: elapsed });
+    }
+
+    _write(entry) {
+        fs.appendFileSync(this._file, JSON.stringify(entry) + '\n');
+    }
+}
+
+// Reads a capture file.  Returns { header, exchanges }.
+function readCapture(file) {
+    const { header, entries } = readJsonl(file, captureKind);
+    return {
+        header: header,
+        exchanges: entries.filter((entry) => entry.type === 'exchange'),
+        end: entries.find((entry) => entry.type === 'end') || null
+    };
+}
+
+function formatPacket(packet) {
+    return '[' + Array.from(packet).join(',') + ']';
+}
+
+// Plays back the exchanges of a capture: each packet sent must match the next packet in the
+// capture, which is answered with the recorded reply, timeout or error.  Since the updater
+// only acts on the replies it receives, replaying a capture into the same operation with
+// the same firmware and upload policy reproduces the recorded session exactly.
+//
+// now() returns the time as it was when the capture was recorded: the time at which each
+// packet was sent, moved on by the recorded latency of the exchange, or by the timeout that
+// the upload gives an exchange that expired.  An upload therefore runs into its deadline at
+// the same exchange as when it was recorded, even when replying immediately.  Once all
+// exchanges were replayed it is the time at which the upload ended, or if the capture does
+// not record that, the time moves on with the clock.
+//
+// capture: the result of readCapture(), or the path to a capture file
+// options.realTime: waits for the recorded latency of each exchange rather than replying
+//     immediately
+class ReplayTransport {
+    constructor(capture, options = {}) {
+        if (typeof capture === 'string') capture = readCapture(capture);
+        this.header = capture.header;
+        this._exchanges = capture.exchanges;
+        this._realTime = options.realTime || false;
+        this._index = 0;
+        this._end = capture.end || null;
+        this._startTime = this._exchanges.length > 0 ? Date.parse(this._exchanges[0].sentAt) : Date.now();
+        this._time = this._startTime;
+        this._timeSetAt = Date.now();
+    }
+
+    // The time in milliseconds as it was when the capture was recorded.
+    now() {
+        if (this.remaining > 0) return this._time;
+        if (this._end !== null) return this._startTime + this._end.elapsed;
+        return this._time + Date.now() - this._timeSetAt;
+    }
+
+    // The number of exchanges of the capture that have not been replayed yet.
+    get remaining() {
+        return this._exchanges.length - this._index;
+    }
+
+    async sendAndReceive(packet, timeout) {
+        const index = this._index;
+        const exchange = this._exchanges[index];
+        if (exchange === undefined)
+            throw new ReplayError(`The capture ended after ${index} exchanges but another packet was sent: ` +
+                formatPacket(packet), index);
+        const sent = Array.from(packet);
+        if (sent.length !== exchange.send.length || sent.some((byte, i) => byte !== exchange.send[i]))
+            throw new ReplayError(`Exchange ${index} sent ${formatPacket(sent)} ` +
+                `but the capture has ${formatPacket(exchange.send)}`, index);
+        this._index++;
+
+        const latency = exchange.expired && timeout > 0 ? timeout : exchange.latency;
+        this._time = Math.max(this._time, Date.parse(exchange.sentAt)) + latency;
+        this._timeSetAt = Date.now();
+        if (this._realTime && latency > 0)
+            await new Promise((resolve) => setTimeout(resolve, latency));
+        this._timeSetAt = Date.now();
+        if (exchange.error !== undefined) throw new Error(exchange.error);
+        return exchange.reply === null ? null : Uint8Array.from(exchange.reply);
+    }
+}
+
+module.exports = {
+    RecordTransport,
+    ReplayTransport,
+    readCapture
+};
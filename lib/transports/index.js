@@ -0,0 +1,43 @@
+const { LogTransport } = require('./log');
+const { RecordTransport, ReplayTransport, readCapture } = require('./capture');
+const { ZwaveJS2MqttServer, ZwaveJS2MqttTransport } = require('./mqtt');
+const { ZwaveJSServer, ZwaveJSServerTransport } = require('./zwavejs');
+const { ZwaveSerialServer, ZwaveSerialTransport, FakeSerialController } = require('./serial');
+
+// Creates the server that will relay commands to the nodes.
+//
+// url: either a zwavejs2mqtt server's MQTT broker URL (in which case api is the API topic),
+//      a zwave-js-server's WebSocket URL (ws:// or wss://, without an API topic),
+//      or the serial port of a Zwave controller prefixed with 'serial:'
+function createServer(url, api, debug) {
+    if (url.startsWith('serial:'))
+        return new ZwaveSerialServer(url.substring(7).replace(/^\/\//, ''), debug);
+    if (api === undefined && /^wss?:\/\//.test(url))
+        return new ZwaveJSServer(url, debug);
+    if (api === undefined)
+        throw new Error('The zwavejs2mqtt server\'s API topic must be specified when connecting via MQTT');
+    return new ZwaveJS2MqttServer(url, api, debug);
+}
+
+// Connects to the server that will relay commands to the nodes, see createServer.
+async function connectServer(url, api, debug) {
+    const server = createServer(url, api, debug);
+    await server.connect();
+    return server;
+}
+
+module.exports = {
+    LogTransport,
+    RecordTransport,
+    ReplayTransport,
+    readCapture,
+    ZwaveJS2MqttServer,
+    ZwaveJS2MqttTransport,
+    ZwaveJSServer,
+    ZwaveJSServerTransport,
+    ZwaveSerialServer,
+    ZwaveSerialTransport,
+    FakeSerialController,
+    createServer,
+    connectServer
+};
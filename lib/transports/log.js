@@ -0,0 +1,25 @@
+// Logs the packets exchanged by another transport.
+class LogTransport {
+    constructor(inner) {
+        this._inner = inner;
+    }
+
+    async sendAndReceive(packet, timeout) {
+        console.log(`>> SEND ${packet}`);
+        const reply = await this._inner.sendAndReceive(packet, timeout);
+        console.log(`<< RECV ${reply}`);
+        return reply;
+    }
+
+    // Passes on the time of the inner transport, see ReplayTransport.
+    now() {
+        return typeof this._inner.now === 'function' ? this._inner.now() : Date.now();
+    }
+
+    // Passes on how long the upload took, see RecordTransport.
+    finish(elapsed) {
+        if (typeof this._inner.finish === 'function') this._inner.finish(elapsed);
+    }
+}
+
+module.exports = { LogTransport };
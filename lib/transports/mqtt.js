@@ -0,0 +1,317 @@
+const { once } = require('events');
+const mqtt = require('mqtt');
+const { manufacturerId, getNodeStatusName, getSecurityClassName } = require('../zwave');
+const { ServerTimeoutError } = require('../errors');
+
+// Calls the zwavejs2mqtt server's gateway API over MQTT.
+//
+// The server publishes the result of each call to a result topic shared by all clients
+// along with the arguments of the call.  Replies are matched to pending calls by comparing
+// those echoed arguments so several calls may be in flight at once and replies to calls
+// made by other clients are ignored.  Identical calls are matched in the order they were made.
+//
+// When the gateway is configured to send Zwave events, it publishes them to topics next to
+// the API topic, e.g. zwavejs/_EVENTS/ZWAVE_GATEWAY-HomeAssistant/node/wake_up for the API
+// topic zwavejs/_CLIENTS/ZWAVE_GATEWAY-HomeAssistant/api.  The arguments of the event are
+// in the data property of the message, starting with the node.
+class ZwaveJS2MqttServer {
+    constructor(url, api, debug, timeout = 15000) {
+        this._url = url;
+        this._sendCommandCallTopic = api + '/sendCommand/set';
+        this._sendCommandResultTopic = api + '/sendCommand';
+        this._driverFunctionCallTopic = api + '/driverFunction/set';
+        this._driverFunctionResultTopic = api + '/driverFunction';
+        this._wakeUpTopic = /\/_CLIENTS\/[^/]+\/api$/.test(api)
+            ? api.replace(/\/_CLIENTS\/([^/]+)\/api$/, '/_EVENTS/$1/node/wake_up')
+            : null;
+        this._debug = debug;
+        this._timeout = timeout;
+        this._pending = [];
+        this._wakeUpListeners = new Set();
+    }
+
+    async connect() {
+        this._client = mqtt.connect(this._url);
+
+        this._client.on('close', () => {
+            console.log('Disconnected from MQTT');
+            this._rejectPending(new Error('Disconnected from MQTT'));
+        });
+
+        this._client.on('error', (error) => {
+            console.log(`MQTT error: ${error}`);
+        });
+
+        this._client.on('message', (topic, message) => {
+            let response;
+            try {
+                response = JSON.parse(message.toString());
+            } catch (error) {
+                if (this._debug)
+                    console.log(`!! Ignoring malformed message on ${topic}`);
+                return;
+            }
+            if (topic === this._wakeUpTopic) {
+                const node = Array.isArray(response.data) ? response.data[0] : undefined;
+                const nodeId = node !== null && typeof node === 'object' ? (node.id || node.nodeId) : node;
+                for (const listener of this._wakeUpListeners) listener(nodeId);
+                return;
+            }
+            const pending = this._pending.find((pending) =>
+                pending.topic === topic && pending.matches(response));
+            if (pending) {
+                this._settle(pending, response);
+            } else if (this._debug) {
+                console.log(`!! Ignoring unexpected message on ${topic}`);
+            }
+        });
+
+        await once(this._client, 'connect');
+
+        await this._subscribe(this._sendCommandResultTopic);
+        await this._subscribe(this._driverFunctionResultTopic);
+        if (this._wakeUpTopic)
+            await this._subscribe(this._wakeUpTopic);
+        console.log('Connected to Zwave2MQTT server via MQTT');
+    }
+
+    async disconnect() {
+        // Lets the messages in flight go out before closing the connection.
+        await new Promise((resolve) => this._client.end(false, {}, resolve));
+    }
+
+    // interviewed is false while the driver interviews the node, when the firmware version
+    // may still be the one from before an upgrade.
+    getNodeInfo(nodeId) {
+        return this._driverFunction(`
+            const nodeId = ${nodeId};
+            const node = driver.controller.nodes.get(nodeId);
+            if (!node) return null;
+            return {
+                nodeId: node.id,
+                name: node.name,
+                location: node.location,
+                firmwareVersion: node.firmwareVersion,
+                manufacturerId: node.manufacturerId,
+                productId: node.productId,
+                productType: node.productType,
+                status: node.status,
+                interviewed: node.ready
+            };
+        `).then((node) => node && Object.assign(node, { status: getNodeStatusName(node.status) }));
+    }
+
+    // Calls listener with the node id whenever a node sends a Wake Up notification.
+    // Resolves to a function that removes the listener.
+    async onWakeUp(listener) {
+        this._wakeUpListeners.add(listener);
+        return () => this._wakeUpListeners.delete(listener);
+    }
+
+    // Keeps a sleeping node awake, or lets it go back to sleep, once it woke up.
+    setKeepAwake(nodeId, keepAwake) {
+        return this._driverFunction(`
+            const node = driver.controller.nodes.get(${nodeId});
+            if (node) node.keepAwake = ${keepAwake ? 'true' : 'false'};
+        `);
+    }
+
+    // Returns information about every node in the network, including its status and
+    // highest security class.
+    async listNodes() {
+        const nodes = await this._driverFunction(`
+            return Array.from(driver.controller.nodes.values(), (node) => ({
+                nodeId: node.id,
+                name: node.name,
+                location: node.location,
+                firmwareVersion: node.firmwareVersion,
+                manufacturerId: node.manufacturerId,
+                productId: node.productId,
+                productType: node.productType,
+                status: node.status,
+                securityClass: node.getHighestSecurityClass()
+            }));
+        `);
+        return nodes.map((node) => Object.assign(node, {
+            status: getNodeStatusName(node.status),
+            securityClass: getSecurityClassName(node.securityClass)
+        }));
+    }
+
+    // Returns the battery level of the node in percent, or undefined if it is not known.
+    async getBatteryLevel(nodeId) {
+        const level = await this._driverFunction(`
+            const node = driver.controller.nodes.get(${nodeId});
+            if (!node) return null;
+            return node.getValue({ commandClass: 0x80, endpoint: 0, property: 'level' });
+        `);
+        return level === null ? undefined : level;
+    }
+
+    // Returns the statistics that the driver collected about the communication with the node,
+    // which the preflight checks use to assess the link quality.
+    async getNodeStatistics(nodeId) {
+        const statistics = await this._driverFunction(`
+            const node = driver.controller.nodes.get(${nodeId});
+            if (!node) return null;
+            return node.statistics;
+        `);
+        return statistics === null ? undefined : statistics;
+    }
+
+    // Sets the clock of the node with the Clock command class, where weekday is 1 for Monday
+    // through 7 for Sunday.
+    async setClock(nodeId, hours, minutes, weekday) {
+        await this._sendCommand(nodeId, 0, 0x81, 'set', [hours, minutes, weekday]);
+        return true;
+    }
+
+    // Returns true if the node acknowledged a ping.
+    pingNode(nodeId) {
+        return this._driverFunction(`
+            const node = driver.controller.nodes.get(${nodeId});
+            if (!node) return false;
+            return await node.ping();
+        `);
+    }
+
+    // Interviews the node again so that the server learns its new firmware version.
+    refreshInfo(nodeId) {
+        return this._driverFunction(`
+            const node = driver.controller.nodes.get(${nodeId});
+            if (node) await node.refreshInfo();
+        `);
+    }
+
+    // Returns undefined if the node did not reply or the reply was lost.
+    async sendAndReceive(nodeId, packet) {
+        let result;
+        try {
+            result = await this._sendCommand(nodeId, 0, 0x91, "sendAndReceiveData", [
+                manufacturerId,
+                { type: "Buffer", data: Array.from(packet) }
+            ]);
+        } catch (error) {
+            if (!(error instanceof ServerTimeoutError)) throw error;
+            if (this._debug)
+                console.log(`!! ${error.message}`);
+            return undefined;
+        }
+        if (result) {
+            return Array.from(result.data.data);
+        }
+    }
+
+    createTransport(nodeId) {
+        return new ZwaveJS2MqttTransport(this, nodeId);
+    }
+
+    // Resolves to the result of the command, which is undefined for commands that return
+    // nothing.
+    async _sendCommand(nodeId, endpoint, commandClass, method, args, timeout = this._timeout) {
+        const callArgs = [
+            { "nodeId": nodeId, "endpoint": endpoint, "commandClass": commandClass },
+            method,
+            args
+        ];
+        const response = await this._call(this._sendCommandCallTopic, this._sendCommandResultTopic,
+            callArgs, (response) => Array.isArray(response.args) &&
+                response.args[0] !== null && typeof response.args[0] === 'object' &&
+                response.args[0].nodeId === nodeId &&
+                response.args[0].endpoint === endpoint &&
+                response.args[0].commandClass === commandClass &&
+                response.args[1] === method &&
+                JSON.stringify(response.args[2]) === JSON.stringify(args),
+            timeout);
+        if (response === null)
+            throw new ServerTimeoutError(`Send command call ${method} timed out`);
+        if (!response.success)
+            throw Error(`Send command call failed: ${response.message}`);
+        return response.result;
+    }
+
+    async _driverFunction(code, timeout = this._timeout) {
+        const response = await this._call(this._driverFunctionCallTopic, this._driverFunctionResultTopic,
+            [ code ], (response) => Array.isArray(response.args) && response.args[0] === code,
+            timeout);
+        if (response === null)
+            throw new ServerTimeoutError('Driver function call timed out');
+        if (!response.success)
+            throw Error(`Driver function call failed: ${response.message}`);
+        return response.result;
+    }
+
+    // Publishes a call and waits for a matching response on the result topic.
+    // Resolves to null on timeout and rejects if the connection to the broker is lost.
+    async _call(callTopic, resultTopic, args, matches, timeout) {
+        const pending = { topic: resultTopic, matches: matches };
+        const response = new Promise((resolve, reject) => {
+            pending.resolve = resolve;
+            pending.reject = reject;
+            pending.timer = setTimeout(() => this._settle(pending, null), timeout);
+        });
+        this._pending.push(pending);
+
+        try {
+            await this._publish(callTopic, JSON.stringify({ args: args }));
+        } catch (error) {
+            this._settle(pending, null);
+            throw error;
+        }
+
+        const result = await response;
+        if (this._debug && result !== null)
+            console.dir(result);
+        return result;
+    }
+
+    _settle(pending, response) {
+        const index = this._pending.indexOf(pending);
+        if (index < 0) return;
+        this._pending.splice(index, 1);
+        clearTimeout(pending.timer);
+        pending.resolve(response);
+    }
+
+    _rejectPending(error) {
+        const pending = this._pending;
+        this._pending = [];
+        for (const call of pending) {
+            clearTimeout(call.timer);
+            call.reject(error);
+        }
+    }
+
+    _publish (...args) {
+        return new Promise((resolve, reject) => {
+            this._client.publish(...args, (err, result) => {
+                if (err) reject(err); else resolve(result);
+            });
+        });
+    }
+
+    _subscribe (...args) {
+        return new Promise((resolve, reject) => {
+            this._client.subscribe(...args, (err, result) => {
+                if (err) reject(err); else resolve(result);
+            });
+        });
+    }
+}
+
+class ZwaveJS2MqttTransport {
+    constructor(server, nodeId) {
+        this._server = server;
+        this._nodeId = nodeId;
+    }
+
+    sendAndReceive(packet) {
+        // call driver.sendCommand or driver.waitForCommand?
+        return this._server.sendAndReceive(this._nodeId, packet);
+    }
+}
+
+module.exports = {
+    ZwaveJS2MqttServer,
+    ZwaveJS2MqttTransport
+};
@@ -0,0 +1,575 @@
+const { EventEmitter } = require('events');
+const { SerialPort } = require('serialport');
+const { manufacturerId, productType } = require('../zwave');
+const { ServerTimeoutError } = require('../errors');
+
+// Talks to a Zwave controller (such as a USB stick) directly using the Zwave Serial API.
+//
+// Each data frame consists of a start of frame byte (SOF), a length byte that counts the
+// remaining bytes of the frame, a frame type (request or response), a function id,
+// the parameters of the function, and a checksum which is the XOR of 0xff and all of
+// the bytes between SOF and the checksum.
+//
+//    [SOF, length, type, function, params..., checksum]
+//
+// The receiver acknowledges each data frame with a single ACK byte, or NAK if the
+// checksum was invalid, or CAN if the frame collided with one of its own.  The sender
+// retransmits the frame if it is not acknowledged.
+//
+// To send a command to a node, the host sends a SendData request with the node id,
+// the command and a callback id.  The controller immediately responds with whether
+// the command was queued then later sends a SendData request with the callback id
+// and the transmit status once the node acknowledged the command (or did not).
+//
+//    host:       [REQ, SendData, nodeId, length, command..., txOptions, callbackId]
+//    controller: [RES, SendData, queued]
+//    controller: [REQ, SendData, callbackId, txStatus, ...]
+//
+// Commands received from nodes are delivered by the controller as ApplicationCommandHandler
+// requests.  Replies to our ManufacturerProprietary commands arrive this way too.
+//
+//    controller: [REQ, ApplicationCommandHandler, rxStatus, nodeId, length, command...]
+const serialSOF = 0x01;
+const serialACK = 0x06;
+const serialNAK = 0x15;
+const serialCAN = 0x18;
+const serialRequest = 0x00;
+const serialResponse = 0x01;
+const serialBaudRate = 115200;
+const serialAckTimeout = 1600;
+const serialResponseTimeout = 10000;
+const serialMaxAttempts = 3;
+const funcSerialApiGetInitData = 0x02;
+const funcApplicationCommandHandler = 0x04;
+const funcSendData = 0x13;
+const funcMemoryGetId = 0x20;
+const funcGetNodeProtocolInfo = 0x41;
+const nodeCapabilityListening = 0x80;
+const controllerNodeId = 1;
+const transmitOptions = 0x25; // ACK | AUTO_ROUTE | EXPLORE
+const transmitComplete = 0x00;
+const transmitNoAck = 0x01;
+const commandClassNoOperation = 0x00;
+const commandClassManufacturerSpecific = 0x72;
+const commandClassBattery = 0x80;
+const batteryGet = 0x02;
+const batteryReport = 0x03;
+const batteryLowWarning = 0xff;
+const commandClassClock = 0x81;
+const clockSet = 0x04;
+const commandClassWakeUp = 0x84;
+const wakeUpNotification = 0x07;
+const manufacturerSpecificGet = 0x04;
+const manufacturerSpecificReport = 0x05;
+const commandClassVersion = 0x86;
+const versionGet = 0x11;
+const versionReport = 0x12;
+const commandClassManufacturerProprietary = 0x91;
+
+function serialChecksum(frame) {
+    let checksum = 0xff;
+    for (let i = 1; i < frame.length - 1; i++)
+        checksum ^= frame[i];
+    return checksum;
+}
+
+function encodeSerialFrame(type, func, params) {
+    const frame = [serialSOF, params.length + 3, type, func].concat(params, [0]);
+    frame[frame.length - 1] = serialChecksum(frame);
+    return Buffer.from(frame);
+}
+
+function formatBytes(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Frames and acknowledges data frames on a serial port.  Emits a 'frame' event for each
+// valid data frame received.  Used by both ends of the link.
+class ZwaveSerialLink extends EventEmitter {
+    constructor(port, debug) {
+        super();
+        this._port = port;
+        this._debug = debug;
+        this._buffer = Buffer.alloc(0);
+        this._pendingAck = null;
+        this._sendQueue = Promise.resolve();
+        port.on('data', (data) => this._receive(data));
+    }
+
+    // Sends a data frame and resolves once the other end acknowledged it.  Frames are sent one
+    // at a time since an ACK does not say which frame it acknowledges.
+    sendFrame(type, func, params) {
+        const frame = encodeSerialFrame(type, func, params);
+        const sent = this._sendQueue.then(() => this._transmit(frame));
+        this._sendQueue = sent.catch(() => {});
+        return sent;
+    }
+
+    async _transmit(frame) {
+        for (let attempt = 1; ; attempt++) {
+            const byte = await this._writeAndWaitForAck(frame);
+            if (byte === serialACK) return;
+            if (attempt >= serialMaxAttempts)
+                throw new Error(`Serial frame was not acknowledged: ${formatBytes(frame)}`);
+            if (this._debug)
+                console.log(`!! Serial frame not acknowledged (${byte === null ? 'timeout' : formatBytes([byte])}), retrying`);
+            await delay(100 + attempt * 1000);
+        }
+    }
+
+    // Writes a frame and resolves to the control byte that answers it, or null on timeout.
+    _writeAndWaitForAck(frame) {
+        return new Promise((resolve) => {
+            const pending = {
+                resolve: (byte) => {
+                    clearTimeout(timer);
+                    if (this._pendingAck === pending) this._pendingAck = null;
+                    resolve(byte);
+                }
+            };
+            const timer = setTimeout(() => pending.resolve(null), serialAckTimeout);
+            this._pendingAck = pending;
+            if (this._debug)
+                console.log(`>> SERIAL ${formatBytes(frame)}`);
+            this._port.write(frame);
+        });
+    }
+
+    sendControl(byte) {
+        this._port.write(Buffer.from([byte]));
+    }
+
+    _receive(data) {
+        this._buffer = Buffer.concat([this._buffer, data]);
+        while (this._buffer.length !== 0) {
+            const byte = this._buffer[0];
+            if (byte !== serialSOF) {
+                // Control bytes answer the frame we most recently sent, anything else is noise.
+                this._buffer = this._buffer.subarray(1);
+                if ((byte === serialACK || byte === serialNAK || byte === serialCAN) && this._pendingAck)
+                    this._pendingAck.resolve(byte);
+                continue;
+            }
+            if (this._buffer.length < 2) break;
+            const length = this._buffer[1];
+            if (this._buffer.length < length + 2) break;
+
+            const frame = this._buffer.subarray(0, length + 2);
+            this._buffer = this._buffer.subarray(length + 2);
+            if (this._debug)
+                console.log(`<< SERIAL ${formatBytes(frame)}`);
+            if (length < 3 || serialChecksum(frame) !== frame[frame.length - 1]) {
+                this.sendControl(serialNAK);
+                continue;
+            }
+            this.sendControl(serialACK);
+            this.emit('frame', {
+                type: frame[2],
+                func: frame[3],
+                params: Array.from(frame.subarray(4, frame.length - 1))
+            });
+        }
+    }
+}
+
+// Opens the serial port at path.  Anything other than a path is taken to be a port that is
+// already open, such as one end of a pair of streams joined back to back for testing.
+function openSerialPort(path) {
+    if (typeof path !== 'string') return Promise.resolve(path);
+    const port = new SerialPort({ path: path, baudRate: serialBaudRate, autoOpen: false });
+    return new Promise((resolve, reject) => {
+        port.open((err) => {
+            if (err) reject(err); else resolve(port);
+        });
+    });
+}
+
+class ZwaveSerialServer {
+    constructor(path, debug, replyTimeout = 2000) {
+        this._path = path;
+        this._debug = debug;
+        this._replyTimeout = replyTimeout;
+        this._waiters = [];
+        this._callbackId = 0;
+        this._wakeUpListeners = new Set();
+    }
+
+    async connect() {
+        this._port = await openSerialPort(this._path);
+
+        this._port.on('close', () => {
+            console.log('Disconnected from Zwave controller');
+        });
+
+        this._port.on('error', (error) => {
+            console.log(`Serial port error: ${error}`);
+        });
+
+        this._link = new ZwaveSerialLink(this._port, this._debug);
+        this._link.on('frame', (frame) => this._dispatch(frame));
+
+        // Discard any partial frame that the controller may have buffered.
+        this._link.sendControl(serialNAK);
+        console.log(`Connected to Zwave controller on ${this._path}`);
+    }
+
+    disconnect() {
+        return new Promise((resolve, reject) => {
+            this._port.close(() => resolve());
+        });
+    }
+
+    // The node's name and location are stored by the home automation software rather
+    // than by the node so they are not available here.
+    //
+    // A node that does not reply is looked up in the controller, which knows whether the
+    // node listens or sleeps between wake ups but not its product or firmware.  Such a node
+    // is 'asleep' if it sleeps, otherwise 'dead'.  Returns null if the controller does not
+    // know the node.  A node that replies is interviewed since it reports its own firmware.
+    async getNodeInfo(nodeId) {
+        const manufacturer = await this._sendAndReceiveCommand(nodeId,
+            [commandClassManufacturerSpecific, manufacturerSpecificGet],
+            [commandClassManufacturerSpecific, manufacturerSpecificReport]);
+        if (!manufacturer || manufacturer.length < 8) {
+            // [capabilities, security, reserved, basic, generic, specific], all 0 for unknown nodes
+            const protocolInfo = await this._request(funcGetNodeProtocolInfo, [nodeId]);
+            if (protocolInfo.length < 4 || protocolInfo[3] === 0) return null;
+            return {
+                nodeId: nodeId,
+                name: undefined,
+                location: undefined,
+                firmwareVersion: undefined,
+                manufacturerId: undefined,
+                productId: undefined,
+                productType: undefined,
+                status: protocolInfo[0] & nodeCapabilityListening ? 'dead' : 'asleep',
+                interviewed: false
+            };
+        }
+
+        const version = await this._sendAndReceiveCommand(nodeId,
+            [commandClassVersion, versionGet],
+            [commandClassVersion, versionReport]);
+        return {
+            nodeId: nodeId,
+            name: undefined,
+            location: undefined,
+            firmwareVersion: version && version.length >= 7 ? `${version[5]}.${version[6]}` : undefined,
+            manufacturerId: (manufacturer[2] << 8) | manufacturer[3],
+            productId: (manufacturer[6] << 8) | manufacturer[7],
+            productType: (manufacturer[4] << 8) | manufacturer[5],
+            status: 'alive',
+            interviewed: true
+        };
+    }
+
+    // Returns information about every node in the network except the controller itself.
+    // The controller only knows which nodes exist so each of them is queried in turn.
+    // Nodes that do not reply, such as sleeping nodes, are listed without their product.
+    async listNodes() {
+        const id = await this._request(funcMemoryGetId, []);
+        const init = await this._request(funcSerialApiGetInitData, []);
+        const ownNodeId = id[4];
+        const bitmask = init.slice(3, 3 + init[2]);
+
+        const nodes = [];
+        for (let nodeId = 1; nodeId <= bitmask.length * 8; nodeId++) {
+            if (!(bitmask[(nodeId - 1) >> 3] & (1 << ((nodeId - 1) & 7))) || nodeId === ownNodeId) continue;
+            const info = await this.getNodeInfo(nodeId);
+            nodes.push(Object.assign(info || { nodeId: nodeId, status: 'unknown' }, {
+                securityClass: undefined
+            }));
+        }
+        return nodes;
+    }
+
+    // Returns the battery level of the node in percent, or undefined if the node did not reply.
+    async getBatteryLevel(nodeId) {
+        const report = await this._sendAndReceiveCommand(nodeId,
+            [commandClassBattery, batteryGet],
+            [commandClassBattery, batteryReport]);
+        if (!report || report.length < 3) return undefined;
+        return report[2] === batteryLowWarning ? 0 : report[2];
+    }
+
+    // The controller does not keep statistics about the communication with the node.
+    async getNodeStatistics(nodeId) {
+        return undefined;
+    }
+
+    // Calls listener with the node id whenever a node sends a Wake Up notification.
+    // Resolves to a function that removes the listener.
+    async onWakeUp(listener) {
+        this._wakeUpListeners.add(listener);
+        return () => this._wakeUpListeners.delete(listener);
+    }
+
+    // A node stays awake until it is told that there is no more information for it, which
+    // this never does, or until it times out by itself.
+    async setKeepAwake(nodeId, keepAwake) {
+    }
+
+    // Sets the clock of the node with the Clock command class, where weekday is 1 for Monday
+    // through 7 for Sunday.  Returns true if the node acknowledged the command.
+    setClock(nodeId, hours, minutes, weekday) {
+        return this._sendData(nodeId, [commandClassClock, clockSet, (weekday << 5) | hours, minutes]);
+    }
+
+    // Returns true if the node acknowledged a ping.
+    pingNode(nodeId) {
+        return this._sendData(nodeId, [commandClassNoOperation]);
+    }
+
+    // getNodeInfo() always queries the node so there is nothing to refresh.
+    async refreshInfo(nodeId) {
+    }
+
+    async sendAndReceive(nodeId, packet) {
+        const header = [commandClassManufacturerProprietary, manufacturerId >> 8, manufacturerId & 0xff];
+        const reply = await this._sendAndReceiveCommand(nodeId, header.concat(Array.from(packet)), header);
+        if (reply) {
+            return reply.slice(header.length);
+        }
+    }
+
+    createTransport(nodeId) {
+        return new ZwaveSerialTransport(this, nodeId);
+    }
+
+    // Sends a command to a node and waits for it to reply with a command that starts
+    // with the given prefix.  Returns null if the node did not reply in time.  The time to
+    // reply only starts once the node acknowledged the command, since the controller may take
+    // several seconds to get it through on a routed link.
+    async _sendAndReceiveCommand(nodeId, command, replyPrefix) {
+        const reply = this._expect((frame) => {
+            if (frame.type !== serialRequest || frame.func !== funcApplicationCommandHandler ||
+                frame.params[1] !== nodeId) return false;
+            const received = frame.params.slice(3, 3 + frame.params[2]);
+            return replyPrefix.every((byte, i) => received[i] === byte);
+        });
+
+        let sent;
+        try {
+            sent = await this._sendData(nodeId, command);
+        } catch (error) {
+            reply.cancel();
+            throw error;
+        }
+        if (!sent) {
+            reply.cancel();
+            return null;
+        }
+
+        reply.startTimer(this._replyTimeout);
+        const frame = await reply.promise;
+        if (!frame) return null;
+        return frame.params.slice(3, 3 + frame.params[2]);
+    }
+
+    // Calls a function of the controller and returns the parameters of its response.
+    async _request(func, params) {
+        const response = this._expect((frame) =>
+            frame.type === serialResponse && frame.func === func, serialResponseTimeout);
+        try {
+            await this._link.sendFrame(serialRequest, func, params);
+        } catch (error) {
+            response.cancel();
+            throw error;
+        }
+        const frame = await response.promise;
+        if (!frame)
+            throw new ServerTimeoutError(`Zwave controller did not respond to function 0x${func.toString(16)}`);
+        return frame.params;
+    }
+
+    // Returns true if the node acknowledged the command.
+    async _sendData(nodeId, command) {
+        this._callbackId = (this._callbackId % 255) + 1;
+        const callbackId = this._callbackId;
+        const response = this._expect((frame) =>
+            frame.type === serialResponse && frame.func === funcSendData, serialResponseTimeout);
+        const callback = this._expect((frame) =>
+            frame.type === serialRequest && frame.func === funcSendData && frame.params[0] === callbackId,
+            serialResponseTimeout);
+
+        try {
+            await this._link.sendFrame(serialRequest, funcSendData,
+                [nodeId, command.length].concat(command, [transmitOptions, callbackId]));
+        } catch (error) {
+            response.cancel();
+            callback.cancel();
+            throw error;
+        }
+
+        const queued = await response.promise;
+        if (!queued || queued.params[0] === 0) {
+            callback.cancel();
+            if (this._debug)
+                console.log('!! Zwave controller did not accept the command');
+            return false;
+        }
+
+        const status = await callback.promise;
+        if (!status || status.params[1] !== transmitComplete) {
+            if (this._debug)
+                console.log(`!! Node ${nodeId} did not acknowledge the command`);
+            return false;
+        }
+        return true;
+    }
+
+    // Waits for a frame that satisfies the predicate.  Resolves to null on timeout or when canceled.
+    // Without a timeout, the wait is only limited once startTimer() is called.
+    _expect(predicate, timeout) {
+        const waiter = { predicate: predicate, timer: null };
+        const promise = new Promise((resolve, reject) => {
+            waiter.resolve = resolve;
+        });
+        const startTimer = (ms) => {
+            if (this._waiters.includes(waiter) && waiter.timer === null)
+                waiter.timer = setTimeout(() => this._settle(waiter, null), ms);
+        };
+        this._waiters.push(waiter);
+        if (timeout !== undefined) startTimer(timeout);
+        return { promise: promise, cancel: () => this._settle(waiter, null), startTimer: startTimer };
+    }
+
+    _settle(waiter, frame) {
+        const index = this._waiters.indexOf(waiter);
+        if (index < 0) return;
+        this._waiters.splice(index, 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(frame);
+    }
+
+    _dispatch(frame) {
+        const waiter = this._waiters.find((waiter) => waiter.predicate(frame));
+        if (waiter) {
+            this._settle(waiter, frame);
+        } else if (frame.type === serialRequest && frame.func === funcApplicationCommandHandler &&
+                frame.params[3] === commandClassWakeUp && frame.params[4] === wakeUpNotification) {
+            for (const listener of this._wakeUpListeners) listener(frame.params[1]);
+        } else if (this._debug) {
+            console.log(`!! Ignoring unexpected frame, function 0x${frame.func.toString(16)}`);
+        }
+    }
+}
+
+class ZwaveSerialTransport {
+    constructor(server, nodeId) {
+        this._server = server;
+        this._nodeId = nodeId;
+    }
+
+    sendAndReceive(packet) {
+        return this._server.sendAndReceive(this._nodeId, packet);
+    }
+}
+
+// Pretends to be a Zwave controller with a single PE653 attached to it so that the serial
+// transport can be tested without hardware, typically on one end of a pseudo-terminal pair.
+// The device receives the contents of ManufacturerProprietary commands sent to the node and,
+// if it has a setClock method, the time of Clock Set commands.
+class FakeSerialController {
+    constructor(path, nodeId, device, debug) {
+        this._path = path;
+        this._nodeId = nodeId;
+        this._device = device;
+        this._debug = debug;
+        this._queue = Promise.resolve();
+    }
+
+    async open() {
+        this._port = await openSerialPort(this._path);
+        this._link = new ZwaveSerialLink(this._port, this._debug);
+        this._link.on('frame', (frame) => {
+            this._queue = this._queue.then(() => this._handleFrame(frame)).catch((error) => {
+                console.log(`Fake controller error: ${error.message}`);
+            });
+        });
+    }
+
+    async _handleFrame(frame) {
+        if (frame.type !== serialRequest) return;
+        switch (frame.func) {
+            case funcMemoryGetId:
+                await this._link.sendFrame(serialResponse, funcMemoryGetId,
+                    [0xc0, 0xff, 0xee, 0x00, controllerNodeId]);
+                return;
+            case funcSerialApiGetInitData: {
+                const bitmask = new Array(29).fill(0);
+                for (const nodeId of [controllerNodeId, this._nodeId])
+                    bitmask[(nodeId - 1) >> 3] |= 1 << ((nodeId - 1) & 7);
+                await this._link.sendFrame(serialResponse, funcSerialApiGetInitData,
+                    [5, 0x08, bitmask.length].concat(bitmask, [5, 0]));
+                return;
+            }
+            case funcGetNodeProtocolInfo: {
+                // A listening routing slave for the device, a static controller for itself.
+                const nodeId = frame.params[0];
+                const info = nodeId === this._nodeId ? [nodeCapabilityListening | 0x53, 0x1c, 0, 0x04, 0x10, 0x01] :
+                    nodeId === controllerNodeId ? [nodeCapabilityListening | 0x53, 0x16, 0, 0x02, 0x02, 0x01] :
+                    [0, 0, 0, 0, 0, 0];
+                await this._link.sendFrame(serialResponse, funcGetNodeProtocolInfo, info);
+                return;
+            }
+            case funcSendData:
+                break;
+            default:
+                return;
+        }
+
+        const nodeId = frame.params[0];
+        const length = frame.params[1];
+        const command = frame.params.slice(2, 2 + length);
+        const callbackId = frame.params[2 + length + 1];
+        await this._link.sendFrame(serialResponse, funcSendData, [1]);
+        if (nodeId !== this._nodeId) {
+            await this._link.sendFrame(serialRequest, funcSendData, [callbackId, transmitNoAck]);
+            return;
+        }
+        await this._link.sendFrame(serialRequest, funcSendData, [callbackId, transmitComplete]);
+
+        const reply = await this._handleCommand(command);
+        if (reply) {
+            await this._link.sendFrame(serialRequest, funcApplicationCommandHandler,
+                [0, nodeId, reply.length].concat(reply));
+        }
+    }
+
+    async _handleCommand(command) {
+        switch (command[0]) {
+            case commandClassManufacturerSpecific:
+                if (command[1] !== manufacturerSpecificGet) break;
+                return [commandClassManufacturerSpecific, manufacturerSpecificReport,
+                        manufacturerId >> 8, manufacturerId & 0xff,
+                        productType >> 8, productType & 0xff, 0x06, 0x53];
+            case commandClassVersion:
+                if (command[1] !== versionGet) break;
+                return [commandClassVersion, versionReport, 0x03, 0x02, 0x4e, 1, 0];
+            case commandClassClock:
+                if (command[1] !== clockSet || command.length < 4 || !this._device.setClock) break;
+                this._device.setClock(command[2] & 0x1f, command[3], command[2] >> 5);
+                break;
+            case commandClassManufacturerProprietary: {
+                const header = [commandClassManufacturerProprietary, manufacturerId >> 8, manufacturerId & 0xff];
+                if (command[1] !== header[1] || command[2] !== header[2]) break;
+                const reply = await this._device.sendAndReceive(command.slice(header.length));
+                if (reply) return header.concat(reply);
+                break;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    ZwaveSerialLink,
+    ZwaveSerialServer,
+    ZwaveSerialTransport,
+    FakeSerialController
+};
@@ -0,0 +1,298 @@
+const { once } = require('events');
+const WebSocket = require('ws');
+const { manufacturerId, getNodeStatusName, getSecurityClassName } = require('../zwave');
+const { ServerTimeoutError } = require('../errors');
+
+// Talks to a zwave-js-server (or Z-Wave JS UI with its WebSocket server enabled) using
+// the zwave-js-server WebSocket protocol.
+//
+// The server greets each client with a version message.  The client then sends commands
+// as JSON messages tagged with a message id and the server replies with a result message
+// that echoes the message id.
+//
+//    server: { type: 'version', serverVersion, driverVersion, maxSchemaVersion, ... }
+//    client: { messageId, command, ...args }
+//    server: { type: 'result', messageId, success, result }
+//
+// Once a client starts listening, the server also sends it events such as
+//
+//    server: { type: 'event', event: { source: 'node', event: 'wake up', nodeId } }
+//
+// Like the MQTT transport, calls that get no result in time are given up on rather than
+// waited for forever.
+const zwaveJSServerSchemaVersion = 14;
+
+class ZwaveJSServer {
+    constructor(url, debug, timeout = 15000) {
+        this._url = url;
+        this._debug = debug;
+        this._timeout = timeout;
+        this._messageId = 0;
+        this._pending = new Map();
+        this._version = null;
+        this._listening = false;
+        this._wakeUpListeners = new Set();
+    }
+
+    async connect() {
+        this._socket = new WebSocket(this._url);
+
+        const version = new Promise((resolve, reject) => {
+            this._version = { resolve: resolve, reject: reject };
+        });
+        // The socket may close before connect() waits for the version.
+        version.catch(() => {});
+
+        this._socket.on('close', () => {
+            console.log('Disconnected from Zwave JS server');
+            const error = new Error('Disconnected from Zwave JS server');
+            if (this._version) {
+                this._version.reject(error);
+                this._version = null;
+            }
+            this._rejectPending(error);
+        });
+
+        this._socket.on('error', (error) => {
+            console.log(`WebSocket error: ${error}`);
+        });
+
+        this._socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                if (this._debug)
+                    console.log('!! Ignoring malformed message from the Zwave JS server');
+                return;
+            }
+            if (message === null || typeof message !== 'object') return;
+            if (message.type === 'version' && this._version) {
+                this._version.resolve(message);
+                this._version = null;
+            }
+            if (message.type === 'result' && this._pending.has(message.messageId)) {
+                this._settle(this._pending.get(message.messageId), message);
+            }
+            if (message.type === 'event' && message.event !== null && typeof message.event === 'object' &&
+                message.event.source === 'node' && message.event.event === 'wake up') {
+                for (const listener of this._wakeUpListeners) listener(message.event.nodeId);
+            }
+        });
+
+        await once(this._socket, 'open');
+        const timer = setTimeout(() => {
+            if (!this._version) return;
+            this._version.reject(new Error('The Zwave JS server did not send its version'));
+            this._version = null;
+        }, this._timeout);
+        let info;
+        try {
+            info = await version;
+        } finally {
+            clearTimeout(timer);
+        }
+        if (this._debug)
+            console.dir(info);
+        if (info.maxSchemaVersion < zwaveJSServerSchemaVersion)
+            throw Error(`Zwave JS server ${info.serverVersion} is too old, it must support API schema ${zwaveJSServerSchemaVersion}`);
+
+        await this._command('set_api_schema', { schemaVersion: zwaveJSServerSchemaVersion });
+        console.log(`Connected to Zwave JS server ${info.serverVersion} via WebSocket`);
+    }
+
+    async disconnect() {
+        if (this._socket.readyState === WebSocket.CLOSED) return;
+        this._socket.close();
+        await once(this._socket, 'close');
+    }
+
+    // interviewed is false while the server interviews the node, when the firmware version
+    // may still be the one from before an upgrade.
+    async getNodeInfo(nodeId) {
+        const response = await this._call('node.get_state', { nodeId: nodeId });
+        if (response !== null && !response.success && response.errorCode === 'node_not_found') return null;
+        const node = this._checkResult('node.get_state', response).state;
+        return {
+            nodeId: node.nodeId,
+            name: node.name,
+            location: node.location,
+            firmwareVersion: node.firmwareVersion,
+            manufacturerId: node.manufacturerId,
+            productId: node.productId,
+            productType: node.productType,
+            status: getNodeStatusName(node.status),
+            interviewed: node.ready
+        };
+    }
+
+    // Returns information about every node in the network, including its status and
+    // highest security class.  The server only reports the state of all nodes to clients
+    // that listen to events.
+    async listNodes() {
+        const result = await this._command('start_listening', {});
+        this._listening = true;
+        return result.state.nodes.map((node) => ({
+            nodeId: node.nodeId,
+            name: node.name,
+            location: node.location,
+            firmwareVersion: node.firmwareVersion,
+            manufacturerId: node.manufacturerId,
+            productId: node.productId,
+            productType: node.productType,
+            status: getNodeStatusName(node.status),
+            securityClass: getSecurityClassName(node.highestSecurityClass)
+        }));
+    }
+
+    // Returns the battery level of the node in percent, or undefined if it is not known.
+    async getBatteryLevel(nodeId) {
+        const result = await this._command('node.get_value', {
+            nodeId: nodeId,
+            valueId: { commandClass: 0x80, endpoint: 0, property: 'level' }
+        });
+        return result.value === null ? undefined : result.value;
+    }
+
+    // Returns the statistics that the driver collected about the communication with the node,
+    // which the preflight checks use to assess the link quality.
+    async getNodeStatistics(nodeId) {
+        const result = await this._command('node.get_state', { nodeId: nodeId });
+        return result.state.statistics;
+    }
+
+    // Calls listener with the node id whenever a node sends a Wake Up notification.
+    // Resolves to a function that removes the listener.
+    async onWakeUp(listener) {
+        if (!this._listening) {
+            await this._command('start_listening', {});
+            this._listening = true;
+        }
+        this._wakeUpListeners.add(listener);
+        return () => this._wakeUpListeners.delete(listener);
+    }
+
+    // Keeps a sleeping node awake, or lets it go back to sleep, once it woke up.
+    async setKeepAwake(nodeId, keepAwake) {
+        await this._command('node.set_keep_awake', { nodeId: nodeId, keepAwake: keepAwake });
+    }
+
+    // Sets the clock of the node with the Clock command class, where weekday is 1 for Monday
+    // through 7 for Sunday.
+    async setClock(nodeId, hours, minutes, weekday) {
+        await this._command('endpoint.invoke_cc_api', {
+            nodeId: nodeId,
+            endpoint: 0,
+            commandClass: 0x81,
+            methodName: 'set',
+            args: [hours, minutes, weekday]
+        });
+        return true;
+    }
+
+    // Returns true if the node acknowledged a ping.
+    async pingNode(nodeId) {
+        const result = await this._command('node.ping', { nodeId: nodeId });
+        return result.responded;
+    }
+
+    // Interviews the node again so that the server learns its new firmware version.
+    async refreshInfo(nodeId) {
+        await this._command('node.refresh_info', { nodeId: nodeId });
+    }
+
+    // Returns undefined if the call timed out, as if the reply was lost.
+    async sendAndReceive(nodeId, packet) {
+        const response = await this._call('endpoint.invoke_cc_api', {
+            nodeId: nodeId,
+            endpoint: 0,
+            commandClass: 0x91,
+            methodName: 'sendAndReceiveData',
+            args: [
+                manufacturerId,
+                { type: 'Buffer', data: Array.from(packet) }
+            ]
+        });
+        if (response === null) {
+            if (this._debug)
+                console.log('!! Send and receive data call timed out');
+            return undefined;
+        }
+        const result = this._checkResult('endpoint.invoke_cc_api', response);
+        if (result.response) {
+            return Array.from(result.response.data.data);
+        }
+    }
+
+    createTransport(nodeId) {
+        return new ZwaveJSServerTransport(this, nodeId);
+    }
+
+    async _command(command, args) {
+        return this._checkResult(command, await this._call(command, args));
+    }
+
+    // Sends a command and waits for its result.  Resolves to null on timeout and rejects if
+    // the connection to the server is lost.
+    _call(command, args, timeout = this._timeout) {
+        const messageId = String(++this._messageId);
+        const message = JSON.stringify(Object.assign({ messageId: messageId, command: command }, args));
+        return new Promise((resolve, reject) => {
+            const pending = { messageId: messageId, resolve: resolve, reject: reject };
+            pending.timer = setTimeout(() => this._settle(pending, null), timeout);
+            this._pending.set(messageId, pending);
+            this._socket.send(message, (err) => {
+                if (err && this._pending.get(messageId) === pending) {
+                    this._pending.delete(messageId);
+                    clearTimeout(pending.timer);
+                    reject(err);
+                }
+            });
+        });
+    }
+
+    _settle(pending, response) {
+        if (this._pending.get(pending.messageId) !== pending) return;
+        this._pending.delete(pending.messageId);
+        clearTimeout(pending.timer);
+        pending.resolve(response);
+    }
+
+    _rejectPending(error) {
+        const pending = Array.from(this._pending.values());
+        this._pending.clear();
+        for (const call of pending) {
+            clearTimeout(call.timer);
+            call.reject(error);
+        }
+    }
+
+    _checkResult(command, response) {
+        if (response === null)
+            throw new ServerTimeoutError(`Zwave JS server command ${command} timed out`);
+        if (this._debug)
+            console.dir(response, { depth: 4 });
+
+        if (!response.success) {
+            const message = response.zwaveErrorMessage || response.message || response.errorCode;
+            throw Error(`Zwave JS server command ${command} failed: ${message}`);
+        }
+        return response.result;
+    }
+}
+
+class ZwaveJSServerTransport {
+    constructor(server, nodeId) {
+        this._server = server;
+        this._nodeId = nodeId;
+    }
+
+    sendAndReceive(packet) {
+        return this._server.sendAndReceive(this._nodeId, packet);
+    }
+}
+
+module.exports = {
+    ZwaveJSServer,
+    ZwaveJSServerTransport
+};
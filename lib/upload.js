@@ -0,0 +1,324 @@
+const { EventEmitter } = require('events');
+const { crc16update } = require('./crc');
+const { knownFirmwareSize, firmwareCRCConfirmed, checkFirmwareCRC } = require('./firmware');
+const {
+    packetStart,
+    packetData,
+    packetDataRequest,
+    packetDone,
+    packetCRCError,
+    commandFirmwareTransfer
+} = require('./protocol');
+const {
+    FirmwareSizeError,
+    FirmwareCRCError,
+    UploadTimeoutError,
+    DeviceCRCError,
+    StaleRepliesError,
+    UploadDeadlineError,
+    UploadAbortedError,
+    TransportError
+} = require('./errors');
+
+// Policy for the exchanges of an upload, which can be tuned for marginal links:
+//
+//    exchangeTimeout: milliseconds to wait for each reply before taking it as lost, or 0 to
+//        rely on the timeout of the transport.  When shorter than the transport's timeout,
+//        a late reply may arrive in place of the reply to the next packet and be ignored.
+//    retries: times to send a packet again when its reply is lost before giving up
+//    backoff: milliseconds to wait before sending a packet again, doubled for each retry
+//        up to maxBackoff, or 0 to send it again right away
+//    maxBackoff: longest wait before sending a packet again
+//    maxStaleReplies: replies in a row that are out of sequence or malformed before giving
+//        up, or 0 for no limit
+//    interval: shortest time in milliseconds between sending two packets, to leave room for
+//        other traffic on a busy network
+//    deadline: milliseconds after which to give up on the whole transfer, or 0 for no limit
+const uploadDefaults = {
+    exchangeTimeout: 0,
+    retries: 4,
+    backoff: 0,
+    maxBackoff: 10000,
+    maxStaleReplies: 100,
+    interval: 0,
+    deadline: 0
+};
+
+// Timeouts in a row after which an upload with the default policy gives up.
+const maxTimeouts = uploadDefaults.retries + 1;
+
+// Waits for some milliseconds, or until the signal is aborted.
+function delay(ms, signal) {
+    return new Promise((resolve) => {
+        const finish = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', finish);
+            resolve();
+        };
+        const timer = setTimeout(finish, ms);
+        if (signal) signal.addEventListener('abort', finish);
+    });
+}
+
+// Uploads firmware to a device using the protocol described in protocol.js.
+//
+// The upload starts on the next turn of the event loop so that listeners can be attached
+// first.  It emits these events, each with an object that holds its type and details:
+//
+//    'start' { total }: the transfer is starting
+//    'progress' { seq, bytes, total }: the device requested packet seq having received bytes of total
+//    'retry' { timeouts, maxTimeouts, delay }: no reply arrived in time so the last packet is
+//        sent again after delay milliseconds
+//    'warning' { message }: something is amiss but the upload proceeds anyway
+//    'done' { confirmed }: all data was sent, confirmed is false if the device did not say so
+//    'failure' { error }: the upload failed with an UploadError
+//
+// The same events can be consumed with for await...of.  The result property is a promise
+// that resolves to the 'done' event's details or rejects with the UploadError.  The stats
+// property tells how the transfer is going.
+//
+// Aborting options.signal stops the upload after the current exchange, leaving the device to
+// give up on the transfer and reset after deviceTimeout.  Once all data was sent the device
+// may be installing the new firmware, so the upload then refuses to stop and warns instead.
+//
+// Each packet is sent with transport.sendAndReceive(packet, timeout), where timeout is how
+// long the upload waits for the reply, or 0 if it relies on the transport's timeout.  A
+// transport that records the exchanges uses it to record the replies that the upload took as
+// lost.  A transport with a now() method provides the time that the upload goes by, so that
+// a transport that replays a capture can reproduce its timeouts and deadline.  A transport
+// with a finish() method is told how long the upload took once it has ended.
+class FirmwareUpload extends EventEmitter {
+    constructor(blob, transport, options = {}) {
+        super();
+        this._blob = blob;
+        this._transport = transport;
+        this._options = Object.assign({}, uploadDefaults, options);
+        this._now = typeof transport.now === 'function' ? () => transport.now() : Date.now;
+        this._events = [];
+        this._waiters = [];
+        this._startTime = null;
+        this._lastSent = null;
+        this._bytes = 0;
+        this._exchanges = 0;
+        this._replies = 0;
+        this._totalRTT = 0;
+        this._retries = 0;
+        this._staleReplies = 0;
+
+        this.result = new Promise((resolve) => setImmediate(resolve)).then(() => this._run());
+        // Failures are reported through events too, so don't insist on the promise being observed.
+        this.result.catch(() => {});
+    }
+
+    // Statistics of the transfer so far:
+    //    exchanges: packets sent
+    //    retries: packets sent again because their reply was lost
+    //    staleReplies: replies ignored because they were out of sequence or malformed
+    //    meanRTT: mean milliseconds from sending a packet to receiving its reply, or null
+    //    elapsed: milliseconds since the transfer started
+    //    bytes, total: bytes that the device received of the total
+    //    throughput: bytes per second that the device received, or null
+    //    eta: estimated milliseconds until all data is sent, or null
+    get stats() {
+        const elapsed = this._startTime === null ? 0 : this._now() - this._startTime;
+        const throughput = elapsed > 0 ? this._bytes * 1000 / elapsed : null;
+        return {
+            exchanges: this._exchanges,
+            retries: this._retries,
+            staleReplies: this._staleReplies,
+            meanRTT: this._replies > 0 ? this._totalRTT / this._replies : null,
+            elapsed: elapsed,
+            bytes: this._bytes,
+            total: this._blob.length,
+            throughput: throughput,
+            eta: throughput ? (this._blob.length - this._bytes) * 1000 / throughput : null
+        };
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for (let i = 0; ; i++) {
+            while (i >= this._events.length)
+                await new Promise((resolve) => this._waiters.push(resolve));
+            const event = this._events[i];
+            yield event;
+            if (event.type === 'done' || event.type === 'failure') return;
+        }
+    }
+
+    async _run() {
+        let result;
+        try {
+            result = await this._transfer();
+        } catch (error) {
+            this._emit('failure', { error: error });
+            throw error;
+        } finally {
+            if (typeof this._transport.finish === 'function')
+                this._transport.finish(this.stats.elapsed);
+        }
+        this._emit('done', result);
+        return result;
+    }
+
+    async _transfer() {
+        const blob = this._blob;
+        const options = this._options;
+        let currentSeq = -1;
+        let currentPacket = [commandFirmwareTransfer, packetStart];
+        let timeouts = 0;
+        let staleReplies = 0;
+        let done = false;
+        let abortRefused = false;
+
+        if (blob.length !== knownFirmwareSize)
+            throw new FirmwareSizeError(knownFirmwareSize, blob.length);
+
+        if (!checkFirmwareCRC(blob)) {
+            const requireCRC = options.requireCRC !== undefined ? options.requireCRC : firmwareCRCConfirmed;
+            if (options.skipCRC) {
+                this._emit('warning', { message: 'Incorrect firmware CRC, uploading anyway as requested' });
+            } else if (requireCRC) {
+                throw new FirmwareCRCError();
+            } else {
+                this._emit('warning', { message: 'Incorrect firmware CRC, uploading anyway since the CRC check ' +
+                    'has not been confirmed with firmware from Intermatic' });
+            }
+        }
+
+        this._startTime = this._now();
+        this._emit('start', { total: blob.length });
+        for (;;) {
+            if (options.signal && options.signal.aborted) {
+                if (!done) throw new UploadAbortedError(currentSeq, this._bytes, blob.length);
+                if (!abortRefused) {
+                    abortRefused = true;
+                    this._emit('warning', { message: 'Not canceling the upload because all data was sent and ' +
+                        'the device may be installing the new firmware, do not interrupt it' });
+                }
+            }
+
+            let timeout = options.exchangeTimeout;
+            if (options.deadline > 0) {
+                const remaining = this._startTime + options.deadline - this._now();
+                if (remaining <= 0) {
+                    if (done) return { confirmed: false };
+                    throw new UploadDeadlineError(options.deadline, currentSeq);
+                }
+                if (timeout === 0 || remaining < timeout) timeout = remaining;
+            }
+
+            let reply;
+            try {
+                reply = await this._exchange(currentPacket, timeout);
+            } catch (error) {
+                throw new TransportError(error, currentSeq);
+            }
+            if (!reply) {
+                // The deadline may have cut the exchange short, rather than the reply being lost.
+                if (options.deadline > 0 && this._now() >= this._startTime + options.deadline) continue;
+                timeouts++;
+                if (timeouts <= options.retries) {
+                    const wait = options.backoff > 0 ? Math.min(options.backoff * 2 ** (timeouts - 1), options.maxBackoff) : 0;
+                    this._retries++;
+                    this._emit('retry', { timeouts: timeouts, maxTimeouts: options.retries + 1, delay: wait });
+                    if (wait > 0) await delay(wait, done ? undefined : options.signal);
+                    continue;
+                }
+                if (done) return { confirmed: false };
+                throw new UploadTimeoutError(currentSeq);
+            }
+            timeouts = 0;
+
+            // Replies that are malformed or out of sequence are ignored and the last packet
+            // is sent again, unless the device keeps sending them.
+            const seq = reply.length >= 4 ? reply[2] | (reply[3] << 8) : -1;
+            const type = reply.length >= 4 && reply[0] === commandFirmwareTransfer ? reply[1] : -1;
+            if (type === packetDataRequest && seq === currentSeq + 1) {
+                staleReplies = 0;
+                currentSeq = seq;
+                const offset = seq * 32;
+                this._bytes = Math.min(offset, blob.length);
+                this._emit('progress', { seq: seq, bytes: this._bytes, total: blob.length });
+                if (offset < blob.length) {
+                    const data = Array.from(blob.subarray(offset, Math.min(offset + 32, blob.length)));
+                    currentPacket = [commandFirmwareTransfer, packetData, seq & 0xff, seq >> 8].concat(data);
+                    let crc16 = 0;
+                    currentPacket.forEach((byte) => { crc16 = crc16update(crc16, byte) });
+                    currentPacket.push(crc16 & 0xff, crc16 >> 8);
+                } else {
+                    done = true;
+                    currentPacket = [commandFirmwareTransfer, packetDone, seq & 0xff, seq >> 8];
+                }
+            } else if (type === packetDone) {
+                return { confirmed: true };
+            } else if (type === packetCRCError) {
+                throw new DeviceCRCError(seq);
+            } else {
+                staleReplies++;
+                this._staleReplies++;
+                if (options.maxStaleReplies > 0 && staleReplies >= options.maxStaleReplies)
+                    throw new StaleRepliesError(staleReplies, currentSeq);
+            }
+        }
+    }
+
+    // Sends a packet and waits for its reply, up to timeout milliseconds if not 0.  Resolves
+    // to the reply, or to null if it was lost.
+    async _exchange(packet, timeout) {
+        if (this._options.interval > 0 && this._lastSent !== null) {
+            const wait = this._lastSent + this._options.interval - this._now();
+            if (wait > 0) await delay(wait, this._options.signal);
+        }
+        this._lastSent = this._now();
+        this._exchanges++;
+
+        let reply;
+        if (timeout > 0) {
+            // The transport starts its own timer first, so that a transport that records the
+            // exchange does so before the upload moves on.
+            const received = this._transport.sendAndReceive(packet, timeout);
+            let timer;
+            const expired = new Promise((resolve) => { timer = setTimeout(resolve, timeout, null) });
+            try {
+                reply = await Promise.race([received, expired]);
+            } finally {
+                clearTimeout(timer);
+            }
+        } else {
+            reply = await this._transport.sendAndReceive(packet, timeout);
+        }
+        if (reply) {
+            this._replies++;
+            this._totalRTT += this._now() - this._lastSent;
+        }
+        return reply;
+    }
+
+    _emit(type, details) {
+        const event = Object.assign({ type: type }, details);
+        this._events.push(event);
+        const waiters = this._waiters;
+        this._waiters = [];
+        waiters.forEach((resolve) => resolve());
+        this.emit(type, event);
+    }
+}
+
+// Starts uploading firmware to a device, see FirmwareUpload.
+//
+// options.skipCRC: upload the blob even if its CRC is incorrect
+// options.requireCRC: refuse a blob whose CRC is incorrect rather than warning about it, by
+//     default only once the CRC is confirmed, see firmwareCRCConfirmed
+// options.exchangeTimeout, retries, backoff, maxBackoff, maxStaleReplies, interval, deadline:
+//     the policy for the exchanges, see uploadDefaults
+// options.signal: an AbortSignal that cancels the upload, see FirmwareUpload
+function uploadFirmware(blob, transport, options = {}) {
+    return new FirmwareUpload(blob, transport, options);
+}
+
+module.exports = {
+    uploadDefaults,
+    maxTimeouts,
+    FirmwareUpload,
+    uploadFirmware
+};
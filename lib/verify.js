@@ -0,0 +1,86 @@
+const { compareFirmwareVersions } = require('./zwave');
+
+const verifyDefaults = {
+    rebootDelay: 30000,
+    deadline: 300000,
+    pollInterval: 10000
+};
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Verifies that a node rebooted into new firmware after an upload.
+//
+// The device copies the uploaded firmware into place and reboots once the transfer ends, so
+// this waits for that to happen, pings the node until it responds, asks the server to
+// interview the node again, and then polls the node's firmware version until it matches
+// the expected version or the deadline passes.  Until the server finished the interview, it
+// may report the firmware version from before the upgrade, so another version only means
+// that the upgrade failed once the interview finished.
+//
+// server: a server such as ZwaveJSServer which relays commands to the node
+// options.rebootDelay: milliseconds to wait for the device to reboot before pinging it
+// options.deadline: milliseconds after which to give up, including the reboot delay
+// options.pollInterval: milliseconds between attempts
+// options.onProgress: called with { step, ... } as the verification proceeds, where step
+//     is 'reboot' { delay }, 'ping' { responded, error }, 'interview' or
+//     'poll' { firmwareVersion, interviewed }
+//
+// Resolves to { status, firmwareVersion, elapsed } where status is:
+//
+//    'verified': the node reports the expected firmware version
+//    'failed': the server interviewed the node again and it reports another firmware version
+//    'unverified': the node did not respond, or did not report its firmware version after the
+//        interview, in time
+async function verifyUpgrade(server, nodeId, version, options = {}) {
+    options = Object.assign({}, verifyDefaults, options);
+    const onProgress = options.onProgress || (() => {});
+    const start = Date.now();
+    const deadline = start + options.deadline;
+    let interviewRequested = false;
+    let refreshed = false;
+    let interviewed = false;
+    let firmwareVersion;
+
+    onProgress({ step: 'reboot', delay: options.rebootDelay });
+    await delay(options.rebootDelay);
+    for (;;) {
+        let responded = false;
+        try {
+            responded = await server.pingNode(nodeId);
+            onProgress({ step: 'ping', responded: responded });
+            if (responded) {
+                // The interview is asked for only once, even if the request fails, since asking
+                // again would restart an interview that may still be in progress.
+                if (!interviewRequested) {
+                    interviewRequested = true;
+                    onProgress({ step: 'interview' });
+                    await server.refreshInfo(nodeId);
+                    refreshed = true;
+                }
+                const info = await server.getNodeInfo(nodeId);
+                firmwareVersion = info ? info.firmwareVersion : undefined;
+                interviewed = refreshed && Boolean(info && info.interviewed);
+                onProgress({ step: 'poll', firmwareVersion: firmwareVersion, interviewed: interviewed });
+            }
+        } catch (error) {
+            onProgress({ step: 'ping', responded: false, error: error });
+        }
+
+        if (responded && firmwareVersion !== undefined && compareFirmwareVersions(firmwareVersion, version) === 0)
+            return { status: 'verified', firmwareVersion: firmwareVersion, elapsed: Date.now() - start };
+        if (Date.now() + options.pollInterval > deadline) break;
+        await delay(options.pollInterval);
+    }
+    return {
+        status: firmwareVersion !== undefined && interviewed ? 'failed' : 'unverified',
+        firmwareVersion: firmwareVersion,
+        elapsed: Date.now() - start
+    };
+}
+
+module.exports = {
+    verifyDefaults,
+    verifyUpgrade
+};
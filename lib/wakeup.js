@@ -0,0 +1,52 @@
+const wakeUpDefaults = {
+    timeout: 300000,
+    pollInterval: 5000
+};
+
+// Waits for a sleeping node, such as the PE953, to wake up and then keeps it awake so that
+// it can receive firmware.  Call server.setKeepAwake(nodeId, false) to let it sleep again.
+//
+// The node is considered awake once it sends a Wake Up notification, typically because a
+// button was pressed, or once the server reports it to be awake.
+//
+// server: a server such as ZwaveJSServer which relays commands to the node
+// options.timeout: milliseconds after which to give up
+// options.pollInterval: milliseconds between queries of the node's status
+//
+// Resolves to true if the node woke up or false if it did not in time.
+async function waitForWakeUp(server, nodeId, options = {}) {
+    options = Object.assign({}, wakeUpDefaults, options);
+    const deadline = Date.now() + options.timeout;
+    let wakeUp;
+    const notified = new Promise((resolve) => { wakeUp = resolve });
+    const removeListener = await server.onWakeUp((id) => {
+        if (id === nodeId) wakeUp(true);
+    });
+
+    try {
+        for (;;) {
+            const info = await server.getNodeInfo(nodeId);
+            if (info && (info.status === 'awake' || info.status === 'alive')) break;
+
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) return false;
+            let timer;
+            const woke = await Promise.race([
+                notified,
+                new Promise((resolve) => { timer = setTimeout(resolve, Math.min(options.pollInterval, remaining), false) })
+            ]);
+            clearTimeout(timer);
+            if (woke) break;
+        }
+    } finally {
+        removeListener();
+    }
+
+    await server.setKeepAwake(nodeId, true);
+    return true;
+}
+
+module.exports = {
+    wakeUpDefaults,
+    waitForWakeUp
+};
@@ -0,0 +1,81 @@
+// The Intermatic manufacturer ID for ZWave products.
+const manufacturerId = 0x0005;
+const productType = 0x5045; // 'PE'
+
+// Names of the values of zwave-js's NodeStatus enum.
+const nodeStatusNames = {
+    0: 'unknown',
+    1: 'asleep',
+    2: 'awake',
+    3: 'dead',
+    4: 'alive'
+};
+
+// Names of the values of zwave-js's SecurityClass enum.
+const securityClassNames = {
+    [-1]: 'none',
+    0: 'S2 unauthenticated',
+    1: 'S2 authenticated',
+    2: 'S2 access control',
+    7: 'S0 legacy'
+};
+
+function getProductId(nodeInfo) {
+    if (nodeInfo.manufacturerId === manufacturerId &&
+            nodeInfo.productType === productType) {
+        if (nodeInfo.productId === 0x0653) return "PE0653";
+        if (nodeInfo.productId === 0x0953) return "PE0953";
+    }
+    return null;
+}
+
+// Updates what is known about a node with newer information from a server.  Values that the
+// server does not report are kept, such as the product of a sleeping node that a Zwave
+// controller only knows about while the node is awake.
+function mergeNodeInfo(node, info) {
+    const merged = Object.assign({}, node);
+    for (const [key, value] of Object.entries(info || {})) {
+        if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+}
+
+// Compares two firmware versions such as '3.4' and '3.10' component by component.
+// Returns a negative number if a is older than b, 0 if they are the same, or a positive number
+// if a is newer than b.  Components that are not numbers are compared as strings.
+function compareFirmwareVersions(a, b) {
+    const as = String(a).trim().split('.');
+    const bs = String(b).trim().split('.');
+    for (let i = 0; i < Math.max(as.length, bs.length); i++) {
+        const x = as[i] === undefined ? '0' : as[i];
+        const y = bs[i] === undefined ? '0' : bs[i];
+        if (/^\d+$/.test(x) && /^\d+$/.test(y)) {
+            if (parseInt(x, 10) !== parseInt(y, 10)) return parseInt(x, 10) - parseInt(y, 10);
+        } else if (x !== y) {
+            return x < y ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+// Returns the name of a node's status as reported by zwave-js, or 'unknown'.
+function getNodeStatusName(status) {
+    return nodeStatusNames[status] || 'unknown';
+}
+
+// Returns the name of a node's highest security class as reported by zwave-js, or
+// undefined if the driver does not know it yet.
+function getSecurityClassName(securityClass) {
+    if (securityClass === undefined || securityClass === null) return undefined;
+    return securityClassNames[securityClass] || `unknown (${securityClass})`;
+}
+
+module.exports = {
+    manufacturerId,
+    productType,
+    getProductId,
+    mergeNodeInfo,
+    compareFirmwareVersions,
+    getNodeStatusName,
+    getSecurityClassName
+};
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const {
+    readFirmwareArchive,
+    writeFirmwareArchive,
+    summarizeFirmwareArchive,
+    encodeIhex,
+    sha256,
+    knownFirmwareSize
+} = require('..');
+const { makeBlob, ihexRecord, writeRawArchive, makeTempDir } = require('./helpers');
+
+const data = Array.from({ length: 16 }, (_, i) => i);
+
+async function readRaw(t, lines) {
+    const file = path.join(makeTempDir(t), 'test.iboot');
+    writeRawArchive(file, lines);
+    return readFirmwareArchive(file);
+}
+
+test('readFirmwareArchive decodes the version, metadata and blobs', async (t) => {
+    const archive = await readRaw(t, [
+        'TEST_RELEASE_1',
+        'PE0653=Receiver=3.4=Receiver notice',
+        ihexRecord(0, 0x0000, data),
+        ihexRecord(0, 0x0010, data.map((byte) => byte + 16)),
+        ihexRecord(1, 0, []),
+        'PE0953=Remote=3.5=Remote notice',
+        ihexRecord(0, 0x0000, data),
+        ihexRecord(1, 0, [])
+    ]);
+
+    assert.strictEqual(archive.version, 'TEST_RELEASE_1');
+    assert.deepStrictEqual(Object.keys(archive.products), ['PE0653', 'PE0953']);
+
+    const receiver = archive.products['PE0653'];
+    assert.strictEqual(receiver.name, 'Receiver');
+    assert.strictEqual(receiver.version, '3.4');
+    assert.strictEqual(receiver.message, 'Receiver notice');
+    assert.strictEqual(receiver.blobLength, 32);
+    assert.deepStrictEqual(Array.from(receiver.blob), Array.from({ length: 32 }, (_, i) => i));
+    assert.match(receiver.blobHash, /^[0-9a-f]{64}$/);
+
+    assert.strictEqual(archive.products['PE0953'].blobLength, 16);
+});
+
+test('readFirmwareArchive applies extended segment addresses and fills gaps with 0xff', async (t) => {
+    const archive = await readRaw(t, [
+        'TEST_RELEASE_1',
+        'PE0653=Receiver=3.4=notice',
+        ihexRecord(0, 0x0000, data),
+        ihexRecord(2, 0, [0x10, 0x00]),
+        ihexRecord(0, 0x0010, data),
+        ihexRecord(1, 0, [])
+    ]);
+
+    const blob = archive.products['PE0653'].blob;
+    assert.strictEqual(blob.length, 0x10020);
+    assert.deepStrictEqual(Array.from(blob.subarray(0, 16)), data);
+    assert.ok(blob.subarray(16, 0x10010).every((byte) => byte === 0xff));
+    assert.deepStrictEqual(Array.from(blob.subarray(0x10010)), data);
+});
+
+test('readFirmwareArchive rejects records with a bad checksum', async (t) => {
+    await assert.rejects(readRaw(t, [
+        'TEST_RELEASE_1',
+        'PE0653=Receiver=3.4=notice',
+        ihexRecord(0, 0x0000, data, 0x42),
+        ihexRecord(1, 0, [])
+    ]), /zero checksum/);
+});
+
+test('readFirmwareArchive rejects records with an odd number of digits', async (t) => {
+    await assert.rejects(readRaw(t, [
+        'TEST_RELEASE_1',
+        'PE0653=Receiver=3.4=notice',
+        ihexRecord(0, 0x0000, data) + '0',
+        ihexRecord(1, 0, [])
+    ]), /even number of digits/);
+});
+
+test('readFirmwareArchive rejects unsupported record types', async (t) => {
+    await assert.rejects(readRaw(t, [
+        'TEST_RELEASE_1',
+        'PE0653=Receiver=3.4=notice',
+        ihexRecord(4, 0, [0x08, 0x00]),
+        ihexRecord(0, 0x0000, data),
+        ihexRecord(1, 0, [])
+    ]), /Unsupported record type 4/);
+});
+
+test('readFirmwareArchive rejects data records that are not 16 bytes long', async (t) => {
+    await assert.rejects(readRaw(t, [
+        'TEST_RELEASE_1',
+        'PE0653=Receiver=3.4=notice',
+        ihexRecord(0, 0x0000, data.slice(0, 8)),
+        ihexRecord(1, 0, [])
+    ]), /Data record malformed/);
+});
+
+test('readFirmwareArchive rejects a second blob for the same product', async (t) => {
+    await assert.rejects(readRaw(t, [
+        'TEST_RELEASE_1',
+        'PE0653=Receiver=3.4=notice',
+        ihexRecord(0, 0x0000, data),
+        ihexRecord(1, 0, []),
+        ihexRecord(0, 0x0000, data),
+        ihexRecord(1, 0, [])
+    ]), /second blob for the same product/);
+});
+
+test('readFirmwareArchive rejects blobs without product metadata', async (t) => {
+    await assert.rejects(readRaw(t, [
+        'TEST_RELEASE_1',
+        ihexRecord(0, 0x0000, data),
+        ihexRecord(1, 0, [])
+    ]), /Missing product metadata/);
+});
+
+test('readFirmwareArchive rejects metadata in the middle of a blob', async (t) => {
+    await assert.rejects(readRaw(t, [
+        'TEST_RELEASE_1',
+        'PE0653=Receiver=3.4=notice',
+        ihexRecord(0, 0x0000, data),
+        'PE0953=Remote=3.4=notice',
+        ihexRecord(1, 0, [])
+    ]), /metadata while decoding a blob/);
+});
+
+test('readFirmwareArchive rejects files that are not encrypted archives', async (t) => {
+    await assert.rejects(readFirmwareArchive(__filename));
+});
+
+test('readFirmwareArchive rejects missing files', async (t) => {
+    await assert.rejects(readFirmwareArchive(path.join(makeTempDir(t), 'missing.iboot')), { code: 'ENOENT' });
+});
+
+test('writeFirmwareArchive round trips through readFirmwareArchive', async (t) => {
+    const file = path.join(makeTempDir(t), 'test.iboot');
+    const receiver = makeBlob(knownFirmwareSize, 1);
+    const remote = makeBlob(knownFirmwareSize, 2);
+    await writeFirmwareArchive(file, {
+        version: 'TEST_RELEASE_2',
+        products: {
+            PE0653: { name: 'Receiver', version: '3.4', message: 'notice', blob: receiver },
+            PE0953: { name: 'Remote', version: '3.4', message: 'notice', ihex: encodeIhex(remote) }
+        }
+    });
+
+    const archive = await readFirmwareArchive(file);
+    assert.strictEqual(archive.version, 'TEST_RELEASE_2');
+    assert.deepStrictEqual(archive.products['PE0653'].blob, receiver);
+    assert.deepStrictEqual(archive.products['PE0953'].blob, remote);
+    assert.strictEqual(archive.products['PE0653'].blobCRCValid, true);
+});
+
+test('writeFirmwareArchive rejects metadata that cannot be read back', async (t) => {
+    const file = path.join(makeTempDir(t), 'test.iboot');
+    await assert.rejects(writeFirmwareArchive(file, {
+        version: 'TEST_RELEASE_2',
+        products: { PE0653: { name: 'A=B', version: '3.4', message: 'notice', blob: makeBlob(32) } }
+    }), /must not contain/);
+    await assert.rejects(writeFirmwareArchive(file, {
+        version: 'A=B=C=D',
+        products: {}
+    }), /Archive version/);
+});
+
+test('encodeIhex rejects blobs that are not a multiple of 16 bytes', () => {
+    assert.throws(() => encodeIhex(new Uint8Array(20)), /multiple of 16/);
+});
+
+test('summarizeFirmwareArchive leaves out the contents of the blobs', () => {
+    const blob = makeBlob(32);
+    const archive = {
+        version: 'TEST_RELEASE_2',
+        products: {
+            PE0653: { name: 'Receiver', version: '3.4', message: 'notice', blob: blob, blobLength: 32,
+                blobHash: sha256(blob), blobCRCValid: false },
+            PE0953: { name: 'Remote', version: '3.4', message: 'notice', ihex: encodeIhex(blob) }
+        }
+    };
+    assert.deepStrictEqual(summarizeFirmwareArchive(archive), {
+        version: 'TEST_RELEASE_2',
+        products: {
+            PE0653: { name: 'Receiver', version: '3.4', message: 'notice', blobLength: 32,
+                blobHash: sha256(blob), blobCRCValid: false },
+            PE0953: { name: 'Remote', version: '3.4', message: 'notice' }
+        }
+    });
+    assert.ok(archive.products['PE0653'].blob);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {
+    RecordTransport,
+    ReplayTransport,
+    readCapture,
+    ReplayError,
+    uploadFirmware,
+    UploadDeadlineError,
+    getClock,
+    getTime,
+    DeviceSimulator,
+    knownFirmwareSize
+} = require('..');
+const { makeBlob, makeTempDir } = require('./helpers');
+
+const blob = makeBlob(knownFirmwareSize);
+
+test('RecordTransport writes a header and every exchange including timeouts and errors', async (t) => {
+    const file = path.join(makeTempDir(t), 'capture.jsonl');
+    const replies = [[1, 2, 3], null, new Error('port closed')];
+    const recorder = new RecordTransport({
+        sendAndReceive: async () => {
+            const reply = replies.shift();
+            if (reply instanceof Error) throw reply;
+            return reply;
+        }
+    }, file, { command: 'get-time', nodeId: 5, version: 'ignored' });
+
+    assert.deepStrictEqual(await recorder.sendAndReceive([0x40, 1]), [1, 2, 3]);
+    assert.strictEqual(await recorder.sendAndReceive(Uint8Array.from([0x40, 2])), null);
+    await assert.rejects(recorder.sendAndReceive([0x40, 3]), /port closed/);
+
+    const { header, exchanges } = readCapture(file);
+    assert.strictEqual(header.command, 'get-time');
+    assert.strictEqual(header.nodeId, 5);
+    assert.strictEqual(header.version, 1);
+    assert.deepStrictEqual(exchanges.map((exchange) => [exchange.index, exchange.send, exchange.reply, exchange.timeout]),
+        [[0, [0x40, 1], [1, 2, 3], false], [1, [0x40, 2], null, true], [2, [0x40, 3], undefined, undefined]]);
+    assert.strictEqual(exchanges[2].error, 'port closed');
+    assert.ok(exchanges.every((exchange) => exchange.latency >= 0 && !isNaN(Date.parse(exchange.sentAt))));
+});
+
+test('a recorded upload over a lossy link replays to the same result', async (t) => {
+    const file = path.join(makeTempDir(t), 'upload.jsonl');
+    const simulator = new DeviceSimulator({ latency: 0, seed: 7, dropReplyRate: 0.05, corruptRate: 0.02, sendDone: true });
+    const recorded = await uploadFirmware(blob, new RecordTransport(simulator, file)).result;
+
+    const replay = new ReplayTransport(file);
+    const upload = uploadFirmware(blob, replay);
+    let retries = 0;
+    upload.on('retry', () => retries++);
+    assert.deepStrictEqual(await upload.result, recorded);
+    assert.strictEqual(replay.remaining, 0);
+    assert.ok(retries > 0);
+});
+
+test('a recorded upload that timed out and ran into its deadline replays to the same packet', async (t) => {
+    const file = path.join(makeTempDir(t), 'upload.jsonl');
+    const simulator = new DeviceSimulator({ latency: 0 });
+    let exchanges = 0;
+    // After 10 exchanges the replies arrive later than the upload waits for them.
+    const slow = {
+        sendAndReceive: async (packet) => {
+            if (++exchanges > 10) await new Promise((resolve) => setTimeout(resolve, 80));
+            return simulator.sendAndReceive(packet);
+        }
+    };
+    const policy = { exchangeTimeout: 50, retries: 10, deadline: 200 };
+    const recorded = uploadFirmware(blob, new RecordTransport(slow, file, { policy: policy }), policy);
+    let error;
+    await assert.rejects(recorded.result, (e) => { error = e; return e instanceof UploadDeadlineError });
+
+    const capture = readCapture(file);
+    assert.deepStrictEqual(capture.header.policy, policy);
+    assert.ok(capture.exchanges.slice(0, 10).every((exchange) => !exchange.timeout && !exchange.expired));
+    assert.ok(capture.exchanges.slice(10).every((exchange) => exchange.timeout && exchange.expired && exchange.reply === null));
+    assert.ok(capture.end.elapsed >= policy.deadline);
+
+    const replay = new ReplayTransport(capture);
+    await assert.rejects(uploadFirmware(blob, replay, capture.header.policy).result,
+        (e) => e instanceof UploadDeadlineError && e.seq === error.seq);
+    assert.strictEqual(replay.remaining, 0);
+    assert.strictEqual(replay.now() - Date.parse(capture.exchanges[0].sentAt), capture.end.elapsed);
+});
+
+test('ReplayTransport fails when the packets sent diverge from the capture', async (t) => {
+    const file = path.join(makeTempDir(t), 'upload.jsonl');
+    await uploadFirmware(blob, new RecordTransport(new DeviceSimulator({ latency: 0, sendDone: true }), file)).result;
+
+    const upload = uploadFirmware(makeBlob(knownFirmwareSize, 2), new ReplayTransport(file));
+    await assert.rejects(upload.result, (error) => error.code === 'TRANSPORT' &&
+        error.cause instanceof ReplayError && error.cause.index === 1);
+
+    const capture = readCapture(file);
+    capture.exchanges.length = 10;
+    const truncated = uploadFirmware(blob, new ReplayTransport(capture));
+    await assert.rejects(truncated.result, (error) => error.cause instanceof ReplayError &&
+        /ended after 10 exchanges/.test(error.cause.message));
+});
+
+// The fixture was recorded from the DeviceSimulator, a capture from a real PE653 would do too.
+test('a capture of get-time serves as a regression fixture', async () => {
+    const fixture = path.join(__dirname, 'fixtures', 'get-time.jsonl');
+    assert.deepStrictEqual(await getClock(new ReplayTransport(fixture)), { hours: 12, minutes: 34 });
+    assert.strictEqual(await getTime(new ReplayTransport(fixture)), '12:34');
+});
+
+test('readCapture rejects files that are not captures', (t) => {
+    const dir = makeTempDir(t);
+    const other = path.join(dir, 'other.jsonl');
+    fs.writeFileSync(other, '{"format":"something-else"}\n');
+    assert.throws(() => readCapture(other), /not a capture/);
+    const newer = path.join(dir, 'newer.jsonl');
+    fs.writeFileSync(newer, '{"type":"header","format":"zwave-pe653-capture","version":2}\n');
+    assert.throws(() => readCapture(newer), /Unsupported capture version 2/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('assert');
+const {
+    getLocalClock,
+    parseWeekday,
+    getClockDrift,
+    setControllerClock,
+    syncControllerClock,
+    DeviceSimulator
+} = require('..');
+const { FakeServer } = require('./helpers');
+
+test('getLocalClock converts dates to wall clock time in a time zone', () => {
+    // Sunday 2026-03-08 06:30 UTC is 01:30 EST, before daylight saving time starts in New York.
+    assert.deepStrictEqual(getLocalClock(new Date('2026-03-08T06:30:00Z'), 'America/New_York'),
+        { hours: 1, minutes: 30, weekday: 7 });
+    // An hour later it is 03:30 EDT.
+    assert.deepStrictEqual(getLocalClock(new Date('2026-03-08T07:30:00Z'), 'America/New_York'),
+        { hours: 3, minutes: 30, weekday: 7 });
+    assert.deepStrictEqual(getLocalClock(new Date('2026-03-08T23:05:00Z'), 'Asia/Tokyo'),
+        { hours: 8, minutes: 5, weekday: 1 });
+    assert.deepStrictEqual(getLocalClock(new Date('2026-03-09T00:00:00Z'), 'UTC'),
+        { hours: 0, minutes: 0, weekday: 1 });
+});
+
+test('parseWeekday accepts abbreviated and full day names', () => {
+    assert.strictEqual(parseWeekday('mon'), 1);
+    assert.strictEqual(parseWeekday('Wednesday'), 3);
+    assert.strictEqual(parseWeekday('SUN'), 7);
+    assert.strictEqual(parseWeekday('su'), 0);
+    assert.strictEqual(parseWeekday('someday'), 0);
+});
+
+test('getClockDrift measures the drift across midnight', () => {
+    assert.strictEqual(getClockDrift({ hours: 12, minutes: 5 }, { hours: 12, minutes: 0 }), 5);
+    assert.strictEqual(getClockDrift({ hours: 11, minutes: 0 }, { hours: 12, minutes: 0 }), -60);
+    assert.strictEqual(getClockDrift({ hours: 0, minutes: 2 }, { hours: 23, minutes: 58 }), 4);
+    assert.strictEqual(getClockDrift({ hours: 23, minutes: 58 }, { hours: 0, minutes: 2 }), -4);
+});
+
+test('setControllerClock sets the clock and reads it back', async () => {
+    const simulator = new DeviceSimulator({ latency: 0 });
+    const result = await setControllerClock(new FakeServer({ device: simulator }), 2, { hours: 7, minutes: 5, weekday: 6 });
+    assert.deepStrictEqual(result, { acknowledged: true, readBack: { hours: 7, minutes: 5 }, confirmed: true });
+    assert.strictEqual(simulator.weekday, 6);
+});
+
+test('setControllerClock does not confirm a clock that was not set', async () => {
+    const simulator = new DeviceSimulator({ latency: 0 });
+    const result = await setControllerClock(new FakeServer({ device: simulator, acknowledgeClock: false }), 2, { hours: 7, minutes: 5, weekday: 6 });
+    assert.deepStrictEqual(result, { acknowledged: false, readBack: { hours: 12, minutes: 34 }, confirmed: false });
+    await assert.rejects(setControllerClock(new FakeServer({ device: simulator }), 2, { hours: 24, minutes: 0, weekday: 1 }), RangeError);
+});
+
+test('syncControllerClock only sets a clock that drifted beyond the threshold', async () => {
+    const simulator = new DeviceSimulator({ latency: 0 });
+    const server = new FakeServer({ device: simulator });
+    const options = { timeZone: 'UTC', now: () => new Date('2026-10-19T12:36:00Z') };
+
+    const within = await syncControllerClock(server, 2, options);
+    assert.strictEqual(within.drift, -2);
+    assert.strictEqual(within.corrected, false);
+    assert.strictEqual(server.clockSets, 0);
+
+    const beyond = await syncControllerClock(server, 2, Object.assign({}, options, { threshold: 1 }));
+    assert.strictEqual(beyond.drift, -2);
+    assert.strictEqual(beyond.corrected, true);
+    assert.strictEqual(beyond.confirmed, true);
+    assert.deepStrictEqual(simulator.clock, { hours: 12, minutes: 36 });
+    assert.strictEqual(simulator.weekday, 1);
+});
+
+test('syncControllerClock reports a controller that does not reply', async () => {
+    const server = new FakeServer({ device: new DeviceSimulator({ latency: 0, dropSendRate: 1 }) });
+    const result = await syncControllerClock(server, 2, { timeZone: 'UTC' });
+    assert.strictEqual(result.clock, null);
+    assert.strictEqual(result.corrected, false);
+    assert.strictEqual(server.clockSets, 0);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('assert');
+const { crc16update, crc32firmware, crc32stm32 } = require('../lib/crc');
+const { checkFirmwareCRC } = require('..');
+const { makeBlob } = require('./helpers');
+
+const check = Buffer.from('123456789');
+
+test('crc16update computes the XMODEM CRC16', () => {
+    let crc16 = 0;
+    for (const byte of check)
+        crc16 = crc16update(crc16, byte);
+    assert.strictEqual(crc16, 0x31c3);
+});
+
+test('crc16update of an empty buffer is zero', () => {
+    assert.strictEqual([].reduce(crc16update, 0), 0);
+});
+
+test('crc32firmware computes the CRC-32/MPEG-2 check value', () => {
+    assert.strictEqual(crc32firmware(check), 0x0376e6e7);
+});
+
+test('crc32firmware returns an unsigned value', () => {
+    const crc = crc32firmware(Buffer.from([0x00]));
+    assert.strictEqual(crc, 0x4e08bfb4);
+    assert.ok(crc32firmware(Buffer.from('a')) >= 0);
+});
+
+test('crc32stm32 matches the STM32 CRC unit', () => {
+    // Writing 0x12345678 to the CRC unit after a reset yields 0xDF8A8A2B.
+    assert.strictEqual(crc32stm32(Buffer.from([0x78, 0x56, 0x34, 0x12])), 0xdf8a8a2b);
+    assert.strictEqual(crc32stm32(Buffer.alloc(0)), 0xffffffff);
+});
+
+test('crc32stm32 is crc32firmware with the bytes of each word reversed', () => {
+    const data = Buffer.from('0123456789abcdef');
+    const swapped = Buffer.from(data).swap32();
+    assert.strictEqual(crc32stm32(data), crc32firmware(swapped));
+});
+
+test('checkFirmwareCRC expects the STM32 CRC of the blob stored little-endian', () => {
+    // The word 0x12345678 followed by its CRC from the STM32 CRC unit, 0xDF8A8A2B.
+    assert.ok(checkFirmwareCRC(Uint8Array.from([0x78, 0x56, 0x34, 0x12, 0x2b, 0x8a, 0x8a, 0xdf])));
+    assert.ok(!checkFirmwareCRC(Uint8Array.from([0x78, 0x56, 0x34, 0x12, 0xdf, 0x8a, 0x8a, 0x2b])));
+    // The CRC-32/MPEG-2 of the same bytes, which the STM32 CRC unit does not compute.
+    const mpeg2 = crc32firmware(Uint8Array.from([0x78, 0x56, 0x34, 0x12]));
+    assert.ok(!checkFirmwareCRC(Uint8Array.from([0x78, 0x56, 0x34, 0x12,
+        mpeg2 & 0xff, (mpeg2 >>> 8) & 0xff, (mpeg2 >>> 16) & 0xff, mpeg2 >>> 24])));
+    assert.ok(checkFirmwareCRC(makeBlob(1024)));
+});
+
+test('checkFirmwareCRC rejects corrupted and truncated firmware', () => {
+    const blob = makeBlob(1024);
+    const corrupted = Uint8Array.from(blob);
+    corrupted[100] ^= 1;
+    assert.ok(!checkFirmwareCRC(corrupted));
+    assert.ok(!checkFirmwareCRC(blob.subarray(0, 512)));
+    assert.ok(!checkFirmwareCRC(blob.subarray(0, 1022)));
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const {
+    readFirmwareArchive,
+    writeFirmwareArchive,
+    findChangedRanges,
+    extractStrings,
+    diffFirmwareArchives,
+    readVectorTable,
+    firmwareBaseAddress
+} = require('..');
+const { makeBlob, makeTempDir } = require('./helpers');
+
+function writeWord(blob, offset, value) {
+    blob[offset] = value & 0xff;
+    blob[offset + 1] = (value >>> 8) & 0xff;
+    blob[offset + 2] = (value >>> 16) & 0xff;
+    blob[offset + 3] = value >>> 24;
+}
+
+function writeString(blob, offset, text) {
+    blob.set(Buffer.from(text + '\0', 'ascii'), offset);
+}
+
+test('findChangedRanges merges nearby changes and counts extra bytes as changed', () => {
+    const oldBlob = new Uint8Array(256);
+    const newBlob = new Uint8Array(272);
+    newBlob[0] = 1;
+    newBlob[10] = 1;
+    newBlob[100] = 1;
+    assert.deepStrictEqual(findChangedRanges(oldBlob, newBlob), [
+        { start: firmwareBaseAddress, end: firmwareBaseAddress + 10, length: 11 },
+        { start: firmwareBaseAddress + 100, end: firmwareBaseAddress + 100, length: 1 },
+        { start: firmwareBaseAddress + 256, end: firmwareBaseAddress + 271, length: 16 }
+    ]);
+    assert.deepStrictEqual(findChangedRanges(oldBlob, oldBlob.slice()), []);
+});
+
+test('extractStrings finds runs of printable characters', () => {
+    const blob = new Uint8Array(64);
+    writeString(blob, 4, 'PE653 v3.4');
+    writeString(blob, 20, 'short');
+    blob.set(Buffer.from('tail!!', 'ascii'), 58);
+    assert.deepStrictEqual(extractStrings(blob), [
+        { address: firmwareBaseAddress + 4, text: 'PE653 v3.4' },
+        { address: firmwareBaseAddress + 58, text: 'tail!!' }
+    ]);
+});
+
+test('readVectorTable reads the stack pointer and core exception handlers', () => {
+    const blob = new Uint8Array(64);
+    writeWord(blob, 0, 0x20002000);
+    writeWord(blob, 4, 0x08002101);
+    writeWord(blob, 60, 0x08002201);
+    const vectors = readVectorTable(blob);
+    assert.strictEqual(vectors.initialSP, 0x20002000);
+    assert.strictEqual(vectors.reset, 0x08002101);
+    assert.strictEqual(vectors.sysTick, 0x08002201);
+    assert.ok(!('null' in vectors));
+    assert.deepStrictEqual(readVectorTable(blob.subarray(0, 8)), { initialSP: 0x20002000, reset: 0x08002101 });
+});
+
+test('diffFirmwareArchives reports metadata, ranges, strings and vector changes', async (t) => {
+    const dir = makeTempDir(t);
+    const oldBlob = makeBlob(4096, 1);
+    writeWord(oldBlob, 4, 0x08002101);
+    writeString(oldBlob, 1024, 'Intermatic PE653 3.3');
+    const newBlob = oldBlob.slice();
+    writeWord(newBlob, 4, 0x08002181);
+    writeString(newBlob, 1024, 'Intermatic PE653 3.4');
+    const remote = makeBlob(4096, 2);
+
+    await writeFirmwareArchive(path.join(dir, 'old.iboot'), {
+        version: 'RELEASE_33',
+        products: {
+            PE0653: { name: 'Receiver', version: '3.3', message: 'old', blob: oldBlob },
+            PE0953: { name: 'Remote', version: '3.3', message: 'old', blob: remote }
+        }
+    });
+    await writeFirmwareArchive(path.join(dir, 'new.iboot'), {
+        version: 'RELEASE_34',
+        products: {
+            PE0653: { name: 'Receiver', version: '3.4', message: 'new', blob: newBlob },
+            PE0953: { name: 'Remote', version: '3.3', message: 'old', blob: remote },
+            PE0999: { name: 'Other', version: '1.0', message: '', blob: remote }
+        }
+    });
+
+    const diff = diffFirmwareArchives(await readFirmwareArchive(path.join(dir, 'old.iboot')),
+        await readFirmwareArchive(path.join(dir, 'new.iboot')));
+    assert.deepStrictEqual(diff.version, { old: 'RELEASE_33', new: 'RELEASE_34' });
+
+    const [receiver, remoteDiff, other] = diff.products;
+    assert.strictEqual(receiver.status, 'changed');
+    assert.deepStrictEqual(receiver.version, { old: '3.3', new: '3.4' });
+    assert.strictEqual(receiver.name, null);
+    assert.strictEqual(receiver.length, null);
+    assert.notStrictEqual(receiver.hash, null);
+    assert.deepStrictEqual(receiver.ranges.map((range) => range.start),
+        [firmwareBaseAddress + 4, firmwareBaseAddress + 1043]);
+    assert.deepStrictEqual(receiver.vectors, [{ name: 'reset', old: 0x08002101, new: 0x08002181 }]);
+    assert.deepStrictEqual(receiver.strings.added.map((string) => string.text), ['Intermatic PE653 3.4']);
+    assert.deepStrictEqual(receiver.strings.removed.map((string) => string.text), ['Intermatic PE653 3.3']);
+
+    assert.strictEqual(remoteDiff.status, 'unchanged');
+    assert.deepStrictEqual(remoteDiff.ranges, []);
+    assert.strictEqual(other.status, 'added');
+    assert.strictEqual(other.ranges, undefined);
+});
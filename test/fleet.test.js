@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('assert');
+const { planUpgrades, knownFirmwareSize } = require('..');
+const { makeFirmwareImage } = require('./helpers');
+
+const archive = {
+    version: 'RELEASE_34',
+    products: {
+        PE0653: { name: 'Receiver', version: '3.4' },
+        PE0953: { name: 'Remote', version: '3.4' }
+    }
+};
+
+function node(nodeId, productId, firmwareVersion) {
+    return { nodeId: nodeId, manufacturerId: 0x0005, productType: 0x5045, productId: productId, firmwareVersion: firmwareVersion };
+}
+
+const nodes = [
+    { nodeId: 1, manufacturerId: 0x0086, productType: 0x0001, productId: 0x005a },
+    node(5, 0x0653, '3.3'),
+    node(7, 0x0953, '3.4'),
+    node(9, 0x0653, undefined)
+];
+
+function summarize(plans) {
+    return plans.map((plan) => [plan.nodeId, plan.productId, plan.action, plan.reason]);
+}
+
+test('planUpgrades selects all PE653 / PE953 devices and skips those already up to date', () => {
+    assert.deepStrictEqual(summarize(planUpgrades(nodes, archive)), [
+        [5, 'PE0653', 'upgrade', undefined],
+        [7, 'PE0953', 'skip', 'already running version 3.4'],
+        [9, 'PE0653', 'upgrade', undefined]
+    ]);
+});
+
+test('planUpgrades selects devices by product', () => {
+    assert.deepStrictEqual(summarize(planUpgrades(nodes, archive, { products: ['PE0953'] })), [
+        [7, 'PE0953', 'skip', 'already running version 3.4']
+    ]);
+});
+
+test('planUpgrades selects nodes by id and explains why some of them are skipped', () => {
+    const plans = planUpgrades(nodes, archive, { nodeIds: [9, 1, 42, 7], products: ['PE0653'] });
+    assert.deepStrictEqual(summarize(plans), [
+        [9, 'PE0653', 'upgrade', undefined],
+        [1, null, 'skip', 'not a PE653 / PE953'],
+        [42, null, 'skip', 'not in the network'],
+        [7, 'PE0953', 'skip', 'not a PE0653']
+    ]);
+    assert.strictEqual(plans[0].product, archive.products.PE0653);
+    assert.strictEqual(plans[2].node, undefined);
+});
+
+test('planUpgrades skips devices for which the archive has no firmware', () => {
+    const partial = { version: 'RELEASE_34', products: { PE0653: archive.products.PE0653 } };
+    assert.deepStrictEqual(summarize(planUpgrades(nodes, partial, { nodeIds: [7] })), [
+        [7, 'PE0953', 'skip', 'no firmware for PE0953 in the archive']
+    ]);
+});
+
+test('planUpgrades skips devices whose firmware in the archive is for another product', () => {
+    const mixedUp = {
+        version: 'RELEASE_34',
+        products: {
+            PE0653: { name: 'Receiver', version: '3.4', blob: makeFirmwareImage(knownFirmwareSize, 'PE0953', '3.4') },
+            PE0953: { name: 'Remote', version: '3.5', blob: makeFirmwareImage(knownFirmwareSize, 'PE0953', '3.5') }
+        }
+    };
+    assert.deepStrictEqual(summarize(planUpgrades(nodes, mixedUp)), [
+        [5, 'PE0653', 'skip', 'the image is PE0953 firmware rather than PE0653 firmware'],
+        [7, 'PE0953', 'upgrade', undefined],
+        [9, 'PE0653', 'skip', 'the image is PE0953 firmware rather than PE0653 firmware']
+    ]);
+});
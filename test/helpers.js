@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { crc32stm32 } = require('../lib/crc');
+const { DeviceSimulator } = require('../lib/simulator');
+
+// Firmware archives are encrypted with AES-128-CBC using the same key and IV.
+const firmwareArchiveKey = 'gbUst8Ce8Cp4bkPw';
+
+// Creates a blob of the given size filled with pseudo-random data derived from the seed,
+// ending with a correct CRC.
+function makeBlob(size, seed = 1) {
+    const blob = new Uint8Array(size);
+    let state = seed;
+    for (let i = 0; i < size - 4; i++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        blob[i] = state >>> 24;
+    }
+    writeCRC(blob);
+    return blob;
+}
+
+// Stores the CRC of a blob in its last 4 bytes.
+function writeCRC(blob) {
+    const size = blob.length;
+    const crc = crc32stm32(blob.subarray(0, size - 4));
+    blob[size - 4] = crc & 0xff;
+    blob[size - 3] = (crc >>> 8) & 0xff;
+    blob[size - 2] = (crc >>> 16) & 0xff;
+    blob[size - 1] = crc >>> 24;
+}
+
+// Creates a blob like makeBlob() that starts with a valid vector table and names the product
+// and version in a string, like real firmware.
+function makeFirmwareImage(size, productId, version, seed = 1) {
+    const blob = makeBlob(size, seed);
+    const vectors = new DataView(blob.buffer, blob.byteOffset, 8);
+    vectors.setUint32(0, 0x20002000, true);
+    vectors.setUint32(4, 0x08002101, true);
+    blob.set(Buffer.from(`\0Intermatic ${productId} V${version}\0`, 'ascii'), 0x200);
+    writeCRC(blob);
+    return blob;
+}
+
+// Formats an ihex record with a correct checksum unless another checksum is given.
+function ihexRecord(recordType, offset, data, checksum) {
+    const record = [data.length, offset >> 8, offset & 0xff, recordType].concat(Array.from(data));
+    if (checksum === undefined)
+        checksum = -record.reduce((sum, byte) => sum + byte, 0) & 0xff;
+    record.push(checksum);
+    return ':' + record.map((byte) => byte.toString(16).padStart(2, '0').toUpperCase()).join('');
+}
+
+// Writes an encrypted firmware archive consisting of the given lines.
+function writeRawArchive(file, lines) {
+    const cipher = crypto.createCipheriv('aes-128-cbc', firmwareArchiveKey, firmwareArchiveKey);
+    fs.writeFileSync(file, Buffer.concat([cipher.update(lines.join('\r\n') + '\r\n'), cipher.final()]));
+}
+
+// Pretends to be a server relaying commands to a node, a simulated PE653 unless another
+// device is given.  It counts the calls that change the node so that tests can check them.
+//
+// options.device: the transport to the node, by default a DeviceSimulator without latency
+// options.status: the status of the node, 'alive' by default
+// options.oldVersion, newVersion: the firmware version that the node reports before and after
+//     it was interviewed
+// options.interviewError: the error with which asking for an interview fails
+// options.interviewPolls: the queries of the node that the interview lasts, during which the
+//     node reports its old firmware version
+// options.pingsUntilAlive: the pings that the node misses before it replies, Infinity if it
+//     never replies, or -1 if the first ping fails and the node never replies
+// options.battery: the battery level of the node
+// options.statistics: the statistics of the node, or the error with which getting them fails
+// options.acknowledgeClock: false if the node does not acknowledge setting its clock
+class FakeServer {
+    constructor(options = {}) {
+        this.device = options.device || new DeviceSimulator({ latency: 0 });
+        this.status = options.status || 'alive';
+        this.options = options;
+        this.listeners = new Set();
+        this.keepAwake = [];
+        this.queries = 0;
+        this.pings = 0;
+        this.interviews = 0;
+        this.queriesSinceInterview = 0;
+        this.clockSets = 0;
+    }
+
+    createTransport(nodeId) {
+        return this.device;
+    }
+
+    async getNodeInfo(nodeId) {
+        this.queries++;
+        if (this.interviews === 0) {
+            return { nodeId: nodeId, status: this.status, firmwareVersion: this.options.oldVersion, interviewed: true };
+        }
+        const interviewed = this.queriesSinceInterview++ >= (this.options.interviewPolls || 0);
+        return { nodeId: nodeId, status: this.status,
+            firmwareVersion: interviewed ? this.options.newVersion : this.options.oldVersion, interviewed: interviewed };
+    }
+
+    async pingNode(nodeId) {
+        const pingsUntilAlive = this.options.pingsUntilAlive || 0;
+        this.pings++;
+        if (this.pings === 1 && pingsUntilAlive < 0) throw new Error('Node is dead');
+        return pingsUntilAlive >= 0 && this.pings > pingsUntilAlive;
+    }
+
+    async refreshInfo(nodeId) {
+        this.interviews++;
+        if (this.options.interviewError) throw this.options.interviewError;
+    }
+
+    async getBatteryLevel(nodeId) {
+        return this.options.battery;
+    }
+
+    async getNodeStatistics(nodeId) {
+        if (this.options.statistics instanceof Error) throw this.options.statistics;
+        return this.options.statistics;
+    }
+
+    async setClock(nodeId, hours, minutes, weekday) {
+        this.clockSets++;
+        if (this.options.acknowledgeClock === false) return false;
+        this.device.setClock(hours, minutes, weekday);
+        return true;
+    }
+
+    async onWakeUp(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    async setKeepAwake(nodeId, keepAwake) {
+        this.keepAwake.push([nodeId, keepAwake]);
+    }
+
+    // Sends a Wake Up notification from a node.
+    notify(nodeId) {
+        for (const listener of this.listeners) listener(nodeId);
+    }
+}
+
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-pe653-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+module.exports = { makeBlob, makeFirmwareImage, ihexRecord, writeRawArchive, makeTempDir, FakeServer };
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHistoryEntry, appendHistory, readHistory, UploadAbortedError } = require('..');
+const { makeTempDir } = require('./helpers');
+
+const node = { nodeId: 5, name: 'Pool', location: 'Backyard', firmwareVersion: '3.3' };
+const product = { version: '3.4', blobHash: 'abc123' };
+const stats = { exchanges: 3720, retries: 2, staleReplies: 1, elapsed: 61000 };
+
+test('createHistoryEntry describes the node, firmware and result of an upgrade', () => {
+    const entry = createHistoryEntry({ node: node, productId: 'PE0653', product: product, archive: 'PE653.iboot',
+        startedAt: new Date('2024-05-01T10:00:00Z'), outcome: 'unconfirmed', stats: stats,
+        verification: { status: 'verified', firmwareVersion: '3.4' } });
+    assert.deepStrictEqual(entry, {
+        type: 'upgrade',
+        startedAt: '2024-05-01T10:00:00.000Z',
+        nodeId: 5,
+        name: 'Pool',
+        location: 'Backyard',
+        productId: 'PE0653',
+        oldFirmwareVersion: '3.3',
+        newFirmwareVersion: '3.4',
+        archive: path.resolve('PE653.iboot'),
+        blobHash: 'abc123',
+        duration: 61000,
+        exchanges: 3720,
+        retries: 2,
+        staleReplies: 1,
+        outcome: 'unconfirmed',
+        verification: 'verified',
+        error: undefined
+    });
+
+    const canceled = createHistoryEntry({ node: node, productId: 'PE0653', product: product, archive: 'PE653.iboot',
+        startedAt: new Date(), outcome: 'failed', error: new UploadAbortedError(10, 320, 118784), stats: stats });
+    assert.strictEqual(canceled.outcome, 'canceled');
+    assert.strictEqual(canceled.verification, null);
+    assert.match(canceled.error, /320 of 118784 bytes/);
+});
+
+test('appendHistory creates the history and readHistory reads it back by node', (t) => {
+    const file = path.join(makeTempDir(t), 'logs', 'history.jsonl');
+    assert.deepStrictEqual(readHistory(file), []);
+
+    appendHistory(file, { type: 'upgrade', nodeId: 5, outcome: 'confirmed' });
+    appendHistory(file, { type: 'upgrade', nodeId: 7, outcome: 'failed' });
+    appendHistory(file, { type: 'upgrade', nodeId: 5, outcome: 'canceled' });
+    assert.strictEqual(fs.readFileSync(file, 'utf8').split('\n').length, 5);
+    assert.deepStrictEqual(readHistory(file).map((entry) => entry.nodeId), [5, 7, 5]);
+    assert.deepStrictEqual(readHistory(file, 5).map((entry) => entry.outcome), ['confirmed', 'canceled']);
+    assert.deepStrictEqual(readHistory(file, 9), []);
+});
+
+test('readHistory rejects files that are not a history', (t) => {
+    const dir = makeTempDir(t);
+    const other = path.join(dir, 'capture.jsonl');
+    fs.writeFileSync(other, JSON.stringify({ type: 'header', format: 'zwave-pe653-capture', version: 1 }) + '\n');
+    assert.throws(() => readHistory(other), /not a history/);
+
+    const broken = path.join(dir, 'history.jsonl');
+    appendHistory(broken, { type: 'upgrade', nodeId: 5 });
+    fs.appendFileSync(broken, '{"type":\n');
+    assert.throws(() => readHistory(broken), /Line 3 of the history is not valid JSON/);
+});
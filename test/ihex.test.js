@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {
+    parseIhexRecord,
+    parseIhex,
+    assembleIhexImage,
+    readFirmwareImage,
+    encodeIhex,
+    sha256,
+    knownFirmwareSize
+} = require('..');
+const { makeBlob, ihexRecord, makeTempDir } = require('./helpers');
+
+test('parseIhexRecord decodes records of any length and checks them', () => {
+    assert.deepStrictEqual(parseIhexRecord(ihexRecord(0, 0x1234, [1, 2, 3])),
+        { type: 0, offset: 0x1234, data: Uint8Array.from([1, 2, 3]) });
+    assert.strictEqual(parseIhexRecord(ihexRecord(0, 0, new Array(255).fill(7))).data.length, 255);
+    assert.throws(() => parseIhexRecord(ihexRecord(0, 0, [1, 2], 0)), /zero checksum/);
+    assert.throws(() => parseIhexRecord(ihexRecord(0, 0, [1, 2]).slice(0, -1)), /even number of digits/);
+    assert.throws(() => parseIhexRecord(':0200000001FD'), /data length is invalid/);
+    assert.throws(() => parseIhexRecord('0100000001FE'), /colon/);
+    assert.throws(() => parseIhexRecord(':01000000XXFE'), /hexadecimal/);
+});
+
+test('parseIhex applies segment and linear addresses and reads start addresses', () => {
+    const segment = parseIhex([
+        ihexRecord(2, 0, [0x10, 0x00]),
+        ihexRecord(0, 0x0010, [1, 2]),
+        ihexRecord(3, 0, [0x12, 0x34, 0x00, 0x10]),
+        ihexRecord(1, 0, [])
+    ].join('\n'));
+    assert.deepStrictEqual(segment.chunks, [{ address: 0x10010, data: Uint8Array.from([1, 2]) }]);
+    assert.strictEqual(segment.startAddress, 0x12350);
+
+    const linear = parseIhex([
+        ihexRecord(4, 0, [0x08, 0x00]),
+        ihexRecord(0, 0x2000, [1]),
+        ihexRecord(4, 0, [0x08, 0x01]),
+        ihexRecord(0, 0x0000, [2, 3, 4]),
+        ihexRecord(5, 0, [0x08, 0x00, 0x21, 0x01]),
+        ihexRecord(1, 0, [])
+    ].join('\r\n') + '\r\n');
+    assert.deepStrictEqual(linear.chunks.map((chunk) => chunk.address), [0x08002000, 0x08010000]);
+    assert.strictEqual(linear.startAddress, 0x08002101);
+});
+
+test('parseIhex rejects malformed files', () => {
+    assert.throws(() => parseIhex(ihexRecord(0, 0, [1])), /no end of file record/);
+    assert.throws(() => parseIhex([ihexRecord(1, 0, []), ihexRecord(0, 0, [1])].join('\n')), /Line 2: record after the end/);
+    assert.throws(() => parseIhex([ihexRecord(6, 0, []), ihexRecord(1, 0, [])].join('\n')), /Line 1: unknown record type 6/);
+    assert.throws(() => parseIhex([ihexRecord(4, 0, [8]), ihexRecord(1, 0, [])].join('\n')), /must have 2 bytes/);
+    assert.throws(() => parseIhex([ihexRecord(0, 0, [1], 0), ihexRecord(1, 0, [])].join('\n')), /Line 1: .*checksum/);
+});
+
+test('assembleIhexImage fills gaps and places flash addresses relative to the firmware', () => {
+    const relative = assembleIhexImage({ chunks: [
+        { address: 4, data: Uint8Array.from([1, 2]) },
+        { address: 0, data: Uint8Array.from([9]) }
+    ] });
+    assert.deepStrictEqual(relative, Uint8Array.from([9, 0xff, 0xff, 0xff, 1, 2]));
+
+    const absolute = assembleIhexImage({ chunks: [{ address: 0x08002002, data: Uint8Array.from([5]) }] });
+    assert.deepStrictEqual(absolute, Uint8Array.from([0xff, 0xff, 5]));
+
+    assert.throws(() => assembleIhexImage({ chunks: [{ address: 0x08000000, data: Uint8Array.from([5]) }] }),
+        /0x08000000 is outside the firmware area/);
+    assert.throws(() => assembleIhexImage({ chunks: [
+        { address: 0, data: Uint8Array.from([1, 2]) },
+        { address: 1, data: Uint8Array.from([3]) }
+    ] }), /0x00000001 overlaps/);
+    assert.throws(() => assembleIhexImage({ chunks: [] }), /no data/);
+});
+
+test('readFirmwareImage reads binary images and ihex images in any layout', async (t) => {
+    const dir = makeTempDir(t);
+    const blob = makeBlob(knownFirmwareSize);
+
+    const bin = path.join(dir, 'firmware.bin');
+    fs.writeFileSync(bin, blob);
+    const fromBin = await readFirmwareImage(bin);
+    assert.deepStrictEqual(fromBin.blob, blob);
+    assert.strictEqual(fromBin.blobHash, sha256(blob));
+    assert.strictEqual(fromBin.blobCRCValid, true);
+
+    const archiveStyle = path.join(dir, 'archive.ihex');
+    fs.writeFileSync(archiveStyle, encodeIhex(blob).join('\n'));
+    assert.deepStrictEqual((await readFirmwareImage(archiveStyle)).blob, blob);
+
+    // Vendor tools write absolute addresses in records of 32 bytes, out of order.
+    const lines = [];
+    for (let offset = blob.length - 32; offset >= 0; offset -= 32) {
+        const address = 0x08002000 + offset;
+        lines.push(ihexRecord(4, 0, [address >>> 24, (address >>> 16) & 0xff]));
+        lines.push(ihexRecord(0, address & 0xffff, blob.subarray(offset, offset + 32)));
+    }
+    lines.push(ihexRecord(1, 0, []));
+    const vendorStyle = path.join(dir, 'vendor.hex');
+    fs.writeFileSync(vendorStyle, lines.join('\r\n'));
+    assert.deepStrictEqual((await readFirmwareImage(vendorStyle)).blob, blob);
+
+    const broken = path.join(dir, 'broken.hex');
+    fs.writeFileSync(broken, ihexRecord(0, 0, [1]));
+    await assert.rejects(readFirmwareImage(broken), /broken\.hex: The file has no end of file record/);
+});
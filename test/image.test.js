@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('assert');
+const {
+    validateVectorTable,
+    identifyFirmwareImage,
+    checkFirmwareImage,
+    knownFirmwareSize
+} = require('..');
+const { makeBlob, makeFirmwareImage } = require('./helpers');
+
+function withVectors(blob, initialSP, reset) {
+    blob = blob.slice();
+    const vectors = new DataView(blob.buffer, 0, 8);
+    vectors.setUint32(0, initialSP, true);
+    vectors.setUint32(4, reset, true);
+    return blob;
+}
+
+test('validateVectorTable accepts a stack in RAM and a reset handler in the firmware', () => {
+    const image = makeFirmwareImage(4096, 'PE0653', '3.4');
+    assert.deepStrictEqual(validateVectorTable(image), []);
+    assert.deepStrictEqual(validateVectorTable(withVectors(image, 0x20008000, 0x0801EFFF)), []);
+});
+
+test('validateVectorTable rejects stacks outside RAM and reset handlers outside the firmware', () => {
+    const image = makeFirmwareImage(4096, 'PE0653', '3.4');
+    assert.match(validateVectorTable(withVectors(image, 0x20008004, 0x08002101))[0], /stack pointer 0x20008004/);
+    assert.match(validateVectorTable(withVectors(image, 0x20000000, 0x08002101))[0], /stack pointer/);
+    assert.match(validateVectorTable(withVectors(image, 0x20002000, 0x08001001))[0], /reset handler 0x08001001 is not inside/);
+    assert.match(validateVectorTable(withVectors(image, 0x20002000, 0x0801F001))[0], /reset handler/);
+    assert.match(validateVectorTable(withVectors(image, 0x20002000, 0x08002100))[0], /not a Thumb address/);
+    assert.strictEqual(validateVectorTable(makeBlob(4096)).length, 2);
+    assert.match(validateVectorTable(new Uint8Array(4))[0], /too short/);
+});
+
+test('identifyFirmwareImage finds the product and version strings', () => {
+    const analysis = identifyFirmwareImage(makeFirmwareImage(4096, 'PE0953', '3.4'));
+    assert.strictEqual(analysis.productId, 'PE0953');
+    assert.deepStrictEqual(analysis.productStrings.map((string) => string.text), ['Intermatic PE0953 V3.4']);
+    assert.deepStrictEqual(analysis.versionStrings.map((string) => string.version), ['3.4']);
+    assert.strictEqual(analysis.vectors.reset, 0x08002101);
+
+    const both = makeFirmwareImage(4096, 'PE0653', '3.4');
+    both.set(Buffer.from('\0pairs with the PE-953 remote\0', 'ascii'), 0x300);
+    assert.strictEqual(identifyFirmwareImage(both).productId, null);
+    assert.strictEqual(identifyFirmwareImage(makeBlob(4096)).productId, null);
+});
+
+test('checkFirmwareImage passes the firmware of the product', () => {
+    const checks = checkFirmwareImage(makeFirmwareImage(knownFirmwareSize, 'PE0653', '3.4'), 'PE0653', '3.4');
+    assert.deepStrictEqual(checks.map((check) => [check.name, check.status]),
+        [['image', 'pass'], ['image product', 'pass'], ['image version', 'pass']]);
+});
+
+test('checkFirmwareImage fails the firmware of another product and warns about other versions', () => {
+    const checks = checkFirmwareImage(makeFirmwareImage(knownFirmwareSize, 'PE0953', '3.3'), 'PE0653', '3.4');
+    assert.deepStrictEqual(checks.map((check) => [check.name, check.status]),
+        [['image', 'pass'], ['image product', 'fail'], ['image version', 'warn']]);
+    assert.match(checks[1].message, /PE0953 firmware rather than PE0653 firmware/);
+    assert.match(checks[2].message, /version 3.3 rather than 3.4/);
+});
+
+test('checkFirmwareImage fails blobs that are not firmware and warns about unnamed products', () => {
+    const checks = checkFirmwareImage(makeBlob(knownFirmwareSize), 'PE0653', '3.4');
+    assert.deepStrictEqual(checks.map((check) => [check.name, check.status]),
+        [['image', 'fail'], ['image product', 'warn']]);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const mqtt = require('mqtt');
+const { ZwaveJS2MqttServer, ServerTimeoutError } = require('..');
+
+const api = 'zwavejs/_CLIENTS/ZWAVE_GATEWAY-test/api';
+
+// Pretends to be the MQTT client of a connection to a broker.  onPublish is called with the
+// topic and arguments of each call.
+class FakeClient extends EventEmitter {
+    constructor(onPublish) {
+        super();
+        this.onPublish = onPublish;
+        setImmediate(() => this.emit('connect'));
+    }
+
+    subscribe(topic, callback) {
+        callback(null);
+    }
+
+    publish(topic, message, callback) {
+        callback(null);
+        setImmediate(() => this.onPublish(topic, JSON.parse(message).args));
+    }
+
+    end(force, options, callback) {
+        this.emit('close');
+        callback();
+    }
+
+    // Publishes the result of a call to its result topic.
+    reply(topic, response) {
+        this.emit('message', topic.replace(/\/set$/, ''), Buffer.from(JSON.stringify(response)));
+    }
+}
+
+// Connects a ZwaveJS2MqttServer to a FakeClient.
+async function connectServer(t, onPublish, timeout = 1000) {
+    let client;
+    t.mock.method(mqtt, 'connect', () => {
+        client = new FakeClient((topic, args) => onPublish(client, topic, args));
+        return client;
+    });
+    t.mock.method(console, 'log', () => {});
+    const server = new ZwaveJS2MqttServer('mqtt://broker', api, false, timeout);
+    await server.connect();
+    return { server, client };
+}
+
+test('ZwaveJS2MqttServer reports setting the clock as acknowledged when the command returns nothing', async (t) => {
+    const calls = [];
+    const { server } = await connectServer(t, (client, topic, args) => {
+        calls.push({ topic, args });
+        client.reply(topic, { success: true, args: args });
+    });
+    assert.strictEqual(await server.setClock(5, 13, 45, 1), true);
+    assert.deepStrictEqual(calls, [{
+        topic: api + '/sendCommand/set',
+        args: [{ nodeId: 5, endpoint: 0, commandClass: 0x81 }, 'set', [13, 45, 1]]
+    }]);
+});
+
+test('ZwaveJS2MqttServer matches replies that arrive out of order to their calls', async (t) => {
+    const held = [];
+    const { server } = await connectServer(t, (client, topic, args) => {
+        held.push(args);
+        if (held.length < 2) return;
+        // Another client's call is answered first, then the two calls in reverse order.
+        client.reply(topic, { success: true, args: [{ nodeId: 9, endpoint: 0, commandClass: 0x91 }, args[1], args[2]],
+            result: { data: { data: [99] } } });
+        for (const call of held.reverse()) {
+            const packet = call[2][1].data;
+            client.reply(topic, { success: true, args: call, result: { data: { data: [packet[0] + 100] } } });
+        }
+    });
+    const [first, second] = await Promise.all([server.sendAndReceive(5, [1, 2]), server.sendAndReceive(5, [3, 4])]);
+    assert.deepStrictEqual(first, [101]);
+    assert.deepStrictEqual(second, [103]);
+});
+
+test('ZwaveJS2MqttServer gives up on calls that get no result', async (t) => {
+    const { server } = await connectServer(t, () => {}, 20);
+    assert.strictEqual(await server.sendAndReceive(5, [1, 2]), undefined);
+    await assert.rejects(server.setClock(5, 13, 45, 1), (error) => error instanceof ServerTimeoutError);
+    await assert.rejects(server.pingNode(5), (error) => error instanceof ServerTimeoutError &&
+        /Driver function call timed out/.test(error.message));
+});
+
+test('ZwaveJS2MqttServer fails the calls in flight when the connection to the broker is lost', async (t) => {
+    const { server } = await connectServer(t, (client) => client.emit('close'));
+    await assert.rejects(server.sendAndReceive(5, [1, 2]), /Disconnected from MQTT/);
+    await assert.rejects(server.pingNode(5), /Disconnected from MQTT/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('assert');
+const {
+    encodeClockRequest,
+    encodeClockReport,
+    parseClock,
+    clockReportFields,
+    getClock,
+    getTime,
+    DeviceSimulator,
+    ProtocolError
+} = require('..');
+
+test('encodeClockRequest builds the request for the clock', () => {
+    assert.deepStrictEqual(encodeClockRequest(), [0x40, 0x01, 0x01, 0x83, 0x01, 0x01]);
+});
+
+test('parseClock decodes the clock from its offsets in the report', () => {
+    const report = encodeClockReport({ hours: 7, minutes: 5 });
+    assert.strictEqual(report[0], 0x40);
+    assert.strictEqual(report[14], 7);
+    assert.strictEqual(report[15], 5);
+    assert.deepStrictEqual(parseClock(report), { hours: 7, minutes: 5 });
+    assert.deepStrictEqual(parseClock(report.concat([1, 2, 3])), { hours: 7, minutes: 5 });
+});
+
+test('parseClock rejects replies that are not clock reports', () => {
+    const report = encodeClockReport({ hours: 7, minutes: 5 });
+    assert.throws(() => parseClock(report.slice(0, 15)), (error) => error instanceof ProtocolError && /too short/.test(error.message));
+    report[0] = 0x41;
+    assert.throws(() => parseClock(report), ProtocolError);
+    assert.throws(() => parseClock([]), ProtocolError);
+    assert.throws(() => parseClock(undefined), ProtocolError);
+});
+
+test('parseClock rejects values that are out of range', () => {
+    const report = encodeClockReport({ hours: 7, minutes: 5 });
+    report[clockReportFields.hours] = 24;
+    assert.throws(() => parseClock(report), /invalid hour: 24/);
+    report[clockReportFields.hours] = 7;
+    report[clockReportFields.minutes] = 60;
+    assert.throws(() => parseClock(report), /invalid minute: 60/);
+});
+
+test('the clock can be queried from the simulated device', async () => {
+    const simulator = new DeviceSimulator({ latency: 0, clock: { hours: 7, minutes: 5 } });
+    assert.deepStrictEqual(await getClock(simulator), { hours: 7, minutes: 5 });
+    assert.strictEqual(await getTime(simulator), '7:05');
+});
+
+test('the queries return null when the device does not reply', async () => {
+    const simulator = new DeviceSimulator({ latency: 0, dropSendRate: 1 });
+    assert.strictEqual(await getClock(simulator), null);
+    assert.strictEqual(await getTime(simulator), null);
+});
+
+test('getTime returns null for a reply it does not understand', async () => {
+    const transport = { sendAndReceive: async () => [0x40, 0x01] };
+    assert.strictEqual(await getTime(transport), null);
+});
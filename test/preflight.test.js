@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('assert');
+const { runPreflightChecks, knownFirmwareSize, DeviceSimulator } = require('..');
+const { makeFirmwareImage, FakeServer } = require('./helpers');
+
+const pe653 = { nodeId: 5, manufacturerId: 0x0005, productType: 0x5045, productId: 0x0653, firmwareVersion: '3.3' };
+const pe953 = { nodeId: 7, manufacturerId: 0x0005, productType: 0x5045, productId: 0x0953, firmwareVersion: '3.3' };
+const product = { version: '3.4' };
+const goodLink = { commandsTX: 100, commandsDroppedTX: 1, timeoutResponse: 0, rtt: 30, rssi: -60 };
+
+function summarize(checks) {
+    return checks.map((check) => `${check.name}: ${check.status}`);
+}
+
+test('runPreflightChecks passes for a reachable PE653 on a good link', async () => {
+    const checks = await runPreflightChecks(new FakeServer({ statistics: goodLink }), pe653, product);
+    assert.deepStrictEqual(summarize(checks), ['reachable: pass', 'version: pass', 'link quality: pass']);
+    assert.match(checks[0].message, /12:34/);
+});
+
+test('runPreflightChecks fails when the PE653 does not reply', async () => {
+    const unreachable = new DeviceSimulator({ latency: 0, dropSendRate: 1 });
+    const checks = await runPreflightChecks(new FakeServer({ device: unreachable, statistics: goodLink }), pe653, product);
+    assert.deepStrictEqual(summarize(checks), ['reachable: fail', 'version: pass', 'link quality: pass']);
+});
+
+test('runPreflightChecks checks the battery of the PE953', async () => {
+    const low = await runPreflightChecks(new FakeServer({ battery: 20, statistics: goodLink }), pe953, product);
+    assert.deepStrictEqual(summarize(low), ['reachable: pass', 'battery: fail', 'version: pass', 'link quality: pass']);
+
+    const enough = await runPreflightChecks(new FakeServer({ battery: 20, statistics: goodLink }), pe953, product,
+        { minBatteryLevel: 10 });
+    assert.strictEqual(enough[1].status, 'pass');
+
+    const unknown = await runPreflightChecks(new FakeServer({ statistics: goodLink }), pe953, product);
+    assert.strictEqual(unknown[1].status, 'warn');
+});
+
+test('runPreflightChecks detects downgrades and same-version reflashes', async () => {
+    const server = new FakeServer({ statistics: goodLink });
+    const same = await runPreflightChecks(server, Object.assign({}, pe653, { firmwareVersion: '3.4' }), product);
+    assert.strictEqual(same[1].status, 'fail');
+    assert.match(same[1].message, /already running/);
+
+    const downgrade = await runPreflightChecks(server, Object.assign({}, pe653, { firmwareVersion: '3.10' }), product);
+    assert.strictEqual(downgrade[1].status, 'fail');
+    assert.match(downgrade[1].message, /older/);
+
+    const unknown = await runPreflightChecks(server, Object.assign({}, pe653, { firmwareVersion: undefined }), product);
+    assert.strictEqual(unknown[1].status, 'warn');
+});
+
+test('runPreflightChecks first checks that the firmware image is for the node\'s product', async () => {
+    const server = new FakeServer({ statistics: goodLink });
+    const matching = { version: '3.4', blob: makeFirmwareImage(knownFirmwareSize, 'PE0653', '3.4') };
+    assert.deepStrictEqual(summarize(await runPreflightChecks(server, pe653, matching)), [
+        'image: pass', 'image product: pass', 'image version: pass', 'reachable: pass', 'version: pass', 'link quality: pass'
+    ]);
+
+    const mixedUp = { version: '3.4', blob: makeFirmwareImage(knownFirmwareSize, 'PE0953', '3.4') };
+    const checks = await runPreflightChecks(server, pe653, mixedUp);
+    assert.deepStrictEqual(checks[1], { name: 'image product', status: 'fail',
+        message: 'the image is PE0953 firmware rather than PE0653 firmware' });
+});
+
+test('runPreflightChecks warns about poor link quality', async () => {
+    const weak = await runPreflightChecks(new FakeServer({ statistics: Object.assign({}, goodLink, { rssi: -95 }) }),
+        pe653, product);
+    assert.strictEqual(weak[2].status, 'warn');
+    assert.match(weak[2].message, /signal strength/);
+
+    const lossy = await runPreflightChecks(new FakeServer({ statistics: Object.assign({}, goodLink, { timeoutResponse: 20 }) }),
+        pe653, product);
+    assert.strictEqual(lossy[2].status, 'warn');
+    assert.match(lossy[2].message, /commands failed/);
+
+    const unavailable = await runPreflightChecks(new FakeServer({ statistics: { rssi: 127 } }), pe653, product);
+    assert.strictEqual(unavailable[2].status, 'warn');
+    assert.match(unavailable[2].message, /unknown/);
+});
+
+test('runPreflightChecks fails a check that throws an error', async () => {
+    const checks = await runPreflightChecks(new FakeServer({ statistics: new Error('Node is dead') }), pe653, product);
+    assert.deepStrictEqual(checks[2], { name: 'link quality', status: 'fail', message: 'Node is dead' });
+});
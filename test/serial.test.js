@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Duplex } = require('stream');
+const { ZwaveSerialLink, ZwaveSerialServer, FakeSerialController } = require('../lib/transports/serial');
+const { DeviceSimulator, encodeClockRequest, encodeClockReport, getClock } = require('..');
+
+const sof = 0x01;
+const ack = 0x06;
+const request = 0x00;
+const response = 0x01;
+const funcSendData = 0x13;
+const funcApplicationCommandHandler = 0x04;
+const funcGetNodeProtocolInfo = 0x41;
+const transmitNoAck = 0x01;
+
+// Two streams joined back to back, like the ends of a pseudo-terminal pair.  Each end records
+// what is written to it and can be closed like a serial port.
+function portPair() {
+    const ports = [0, 1].map((i) => {
+        const port = new Duplex({
+            read() {},
+            write(data, encoding, callback) {
+                port.written.push(Array.from(data));
+                setImmediate(() => ports[1 - i].push(data));
+                callback();
+            }
+        });
+        port.written = [];
+        port.close = (callback) => {
+            port.once('close', callback);
+            port.destroy();
+        };
+        return port;
+    });
+    return ports;
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Connects a ZwaveSerialServer to one end of a port pair, returning the server and the
+// other end.
+async function connectServer(t, replyTimeout = 100) {
+    const [hostPort, controllerPort] = portPair();
+    t.mock.method(console, 'log', () => {});
+    const server = new ZwaveSerialServer(hostPort, false, replyTimeout);
+    await server.connect();
+    t.after(() => server.disconnect());
+    return { server, hostPort, controllerPort };
+}
+
+test('ZwaveSerialLink waits for each frame to be acknowledged before sending the next', async () => {
+    const [hostPort, controllerPort] = portPair();
+    const link = new ZwaveSerialLink(hostPort);
+    const sent = [];
+    const first = link.sendFrame(request, 0x20, []).then(() => sent.push('first'));
+    const second = link.sendFrame(request, 0x02, []).then(() => sent.push('second'));
+
+    await delay(10);
+    assert.deepStrictEqual(hostPort.written.map((frame) => frame[3]), [0x20]);
+    controllerPort.write(Buffer.from([ack]));
+    await first;
+    await delay(10);
+    assert.deepStrictEqual(hostPort.written.map((frame) => frame[3]), [0x20, 0x02]);
+    controllerPort.write(Buffer.from([ack]));
+    await second;
+    assert.deepStrictEqual(sent, ['first', 'second']);
+});
+
+test('ZwaveSerialServer talks to a PE653 behind a FakeSerialController', async (t) => {
+    const { server, controllerPort } = await connectServer(t);
+    const device = new DeviceSimulator({ latency: 0, clock: { hours: 13, minutes: 45 } });
+    const controller = new FakeSerialController(controllerPort, 5, device, false);
+    await controller.open();
+
+    assert.deepStrictEqual(await server.getNodeInfo(5), {
+        nodeId: 5,
+        name: undefined,
+        location: undefined,
+        firmwareVersion: '1.0',
+        manufacturerId: 0x0005,
+        productId: 0x0653,
+        productType: 0x5045,
+        status: 'alive',
+        interviewed: true
+    });
+    assert.strictEqual(await server.getNodeInfo(9), null);
+    assert.deepStrictEqual(await server.sendAndReceive(5, encodeClockRequest()),
+        encodeClockReport({ hours: 13, minutes: 45 }));
+    assert.strictEqual(await server.setClock(5, 8, 30, 2), true);
+    assert.deepStrictEqual(await getClock(server.createTransport(5)), { hours: 8, minutes: 30 });
+    assert.strictEqual(device.weekday, 2);
+    assert.strictEqual(await server.sendAndReceive(9, encodeClockRequest()), undefined);
+});
+
+test('ZwaveSerialServer gives the node the reply timeout after it acknowledged the command', async (t) => {
+    const { server, hostPort, controllerPort } = await connectServer(t);
+
+    // The controller takes longer than the reply timeout to get the command through.
+    const controller = new ZwaveSerialLink(controllerPort);
+    controller.on('frame', async (frame) => {
+        if (frame.type !== request || frame.func !== funcSendData) return;
+        const [nodeId, length] = frame.params;
+        const callbackId = frame.params[2 + length + 1];
+        await controller.sendFrame(response, funcSendData, [1]);
+        await delay(250);
+        await controller.sendFrame(request, funcSendData, [callbackId, 0]);
+        await delay(50);
+        const reply = [0x91, 0x00, 0x05, 42];
+        await controller.sendFrame(request, funcApplicationCommandHandler, [0, nodeId, reply.length].concat(reply));
+    });
+
+    assert.deepStrictEqual(await server.sendAndReceive(5, [1, 2]), [42]);
+    assert.strictEqual(hostPort.written.filter((frame) => frame[0] === sof).length, 1);
+});
+
+test('ZwaveSerialServer looks up nodes that do not reply in the controller', async (t) => {
+    const { server, controllerPort } = await connectServer(t);
+
+    // Node 5 listens and node 7 sleeps, but neither replies.  Node 9 is not in the network.
+    const protocolInfo = {
+        5: [0xd3, 0x1c, 0, 0x04, 0x10, 0x01],
+        7: [0x53, 0x1c, 0, 0x04, 0x18, 0x01]
+    };
+    const controller = new ZwaveSerialLink(controllerPort);
+    controller.on('frame', async (frame) => {
+        if (frame.type !== request) return;
+        if (frame.func === funcGetNodeProtocolInfo) {
+            await controller.sendFrame(response, funcGetNodeProtocolInfo, protocolInfo[frame.params[0]] || [0, 0, 0, 0, 0, 0]);
+        } else if (frame.func === funcSendData) {
+            const length = frame.params[1];
+            await controller.sendFrame(response, funcSendData, [1]);
+            await controller.sendFrame(request, funcSendData, [frame.params[2 + length + 1], transmitNoAck]);
+        }
+    });
+
+    const asleep = await server.getNodeInfo(7);
+    assert.strictEqual(asleep.nodeId, 7);
+    assert.strictEqual(asleep.status, 'asleep');
+    assert.strictEqual(asleep.manufacturerId, undefined);
+    assert.strictEqual((await server.getNodeInfo(5)).status, 'dead');
+    assert.strictEqual(await server.getNodeInfo(9), null);
+});
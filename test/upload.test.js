@@ -0,0 +1,290 @@
+const test = require('node:test');
+const assert = require('assert');
+const {
+    uploadFirmware,
+    DeviceSimulator,
+    knownFirmwareSize,
+    firmwareCRCConfirmed,
+    UploadError,
+    FirmwareSizeError,
+    FirmwareCRCError,
+    UploadTimeoutError,
+    DeviceCRCError,
+    StaleRepliesError,
+    UploadDeadlineError,
+    UploadAbortedError,
+    TransportError
+} = require('..');
+const { makeBlob } = require('./helpers');
+
+const blob = makeBlob(knownFirmwareSize);
+
+function upload(scenario, blobToUpload = blob, options = {}) {
+    const simulator = new DeviceSimulator(Object.assign({ latency: 0 }, scenario));
+    return { upload: uploadFirmware(blobToUpload, simulator, options), simulator };
+}
+
+test('uploadFirmware succeeds when the device confirms the transfer', async () => {
+    const { upload: u, simulator } = upload({ sendDone: true });
+    assert.deepStrictEqual(await u.result, { confirmed: true });
+    assert.strictEqual(simulator.state, 'done');
+    assert.deepStrictEqual(simulator.receivedImage, blob);
+});
+
+test('uploadFirmware sends the whole image when the device does not confirm the transfer', async () => {
+    const { upload: u, simulator } = upload({});
+    assert.deepStrictEqual(await u.result, { confirmed: false });
+    assert.strictEqual(simulator.state, 'done');
+    assert.deepStrictEqual(simulator.receivedImage, blob);
+});
+
+test('uploadFirmware recovers from lost, corrupted, duplicated and delayed packets', async () => {
+    const { upload: u, simulator } = upload({
+        sendDone: true,
+        seed: 1234,
+        dropSendRate: 0.05,
+        dropReplyRate: 0.05,
+        corruptRate: 0.02,
+        duplicateRate: 0.02,
+        delayRate: 0.02
+    });
+    assert.deepStrictEqual(await u.result, { confirmed: true });
+    assert.deepStrictEqual(simulator.receivedImage, blob);
+    assert.ok(simulator.stats.dropped > 0);
+    assert.ok(simulator.stats.corrupted > 0);
+    assert.ok(simulator.stats.duplicated > 0);
+    assert.ok(simulator.stats.delayed > 0);
+});
+
+test('uploadFirmware retries after a few timeouts', async () => {
+    const { upload: u, simulator } = upload({ sendDone: true, dropReply: [10, 11, 12, 13] });
+    const retries = [];
+    u.on('retry', (event) => retries.push(event.timeouts));
+    assert.deepStrictEqual(await u.result, { confirmed: true });
+    assert.deepStrictEqual(retries, [1, 2, 3, 4]);
+    assert.deepStrictEqual(simulator.receivedImage, blob);
+});
+
+test('uploadFirmware gives up after too many timeouts', async () => {
+    const { upload: u, simulator } = upload({ dropSend: [0, 1, 2, 3, 4] });
+    await assert.rejects(u.result, UploadTimeoutError);
+    assert.strictEqual(simulator.stats.exchanges, 5);
+    assert.strictEqual(simulator.state, 'wait');
+});
+
+test('uploadFirmware gives up when the device resets', async () => {
+    const { upload: u, simulator } = upload({ resetAt: [100] });
+    await assert.rejects(u.result, UploadTimeoutError);
+    assert.strictEqual(simulator.stats.resets, 1);
+});
+
+test('uploadFirmware fails when the device reports a CRC error', async () => {
+    const { upload: u, simulator } = upload({ crcErrorAt: [50] });
+    await assert.rejects(u.result, (error) => error instanceof DeviceCRCError && error.seq === 50);
+    assert.strictEqual(simulator.state, 'error');
+    assert.strictEqual(simulator.receivedImage.length, 50 * 32);
+});
+
+test('uploadFirmware refuses firmware with an incorrect CRC when the CRC is required', async () => {
+    const corrupted = Uint8Array.from(blob);
+    corrupted[1000] ^= 1;
+    const { upload: u, simulator } = upload({ sendDone: true }, corrupted, { requireCRC: true });
+    await assert.rejects(u.result, FirmwareCRCError);
+    assert.strictEqual(simulator.stats.exchanges, 0);
+});
+
+test('uploadFirmware only warns about an incorrect CRC until the CRC is confirmed', async () => {
+    const corrupted = Uint8Array.from(blob);
+    corrupted[1000] ^= 1;
+    const { upload: u } = upload({ sendDone: true }, corrupted);
+    const warnings = [];
+    u.on('warning', (event) => warnings.push(event.message));
+    assert.strictEqual(firmwareCRCConfirmed, false);
+    // The simulated device computes the CRC the same way and rejects the firmware at the end.
+    await assert.rejects(u.result, DeviceCRCError);
+    assert.match(warnings[0], /not been confirmed/);
+});
+
+test('uploadFirmware uploads firmware with an incorrect CRC when told to skip the check', async () => {
+    const corrupted = Uint8Array.from(blob);
+    corrupted[1000] ^= 1;
+    const { upload: u, simulator } = upload({ sendDone: true }, corrupted, { skipCRC: true });
+    const warnings = [];
+    u.on('warning', (event) => warnings.push(event.message));
+    await assert.rejects(u.result, DeviceCRCError);
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(simulator.state, 'error');
+    assert.deepStrictEqual(simulator.receivedImage, corrupted);
+});
+
+test('uploadFirmware refuses firmware of the wrong size', async () => {
+    const { upload: u, simulator } = upload({ sendDone: true }, makeBlob(knownFirmwareSize - 32));
+    await assert.rejects(u.result, (error) => {
+        assert.ok(error instanceof FirmwareSizeError);
+        assert.ok(error instanceof UploadError);
+        assert.strictEqual(error.code, 'FIRMWARE_SIZE');
+        assert.strictEqual(error.actual, knownFirmwareSize - 32);
+        return true;
+    });
+    assert.strictEqual(simulator.stats.exchanges, 0);
+});
+
+test('uploadFirmware reports progress for every packet', async () => {
+    const { upload: u } = upload({ sendDone: true });
+    const progress = [];
+    u.on('progress', (event) => progress.push(event));
+    await u.result;
+    assert.strictEqual(progress.length, knownFirmwareSize / 32 + 1);
+    progress.forEach((event, seq) => {
+        assert.deepStrictEqual(event, { type: 'progress', seq: seq, bytes: seq * 32, total: knownFirmwareSize });
+    });
+});
+
+test('uploadFirmware events can be consumed with for await...of', async () => {
+    const { upload: u } = upload({ sendDone: true, dropReply: [3] });
+    const types = new Set();
+    let last;
+    for await (const event of u) {
+        types.add(event.type);
+        last = event;
+    }
+    assert.deepStrictEqual([...types], ['start', 'progress', 'retry', 'done']);
+    assert.deepStrictEqual(last, { type: 'done', confirmed: true });
+});
+
+test('uploadFirmware ends iteration with a failure event', async () => {
+    const { upload: u } = upload({ crcErrorAt: [5] });
+    const events = [];
+    for await (const event of u) events.push(event);
+    const last = events[events.length - 1];
+    assert.strictEqual(last.type, 'failure');
+    assert.ok(last.error instanceof DeviceCRCError);
+    await assert.rejects(u.result, DeviceCRCError);
+});
+
+test('uploadFirmware gives up after the number of retries of its policy', async () => {
+    const { upload: u, simulator } = upload({ dropSend: [0, 1] }, blob, { retries: 1 });
+    const retries = [];
+    u.on('retry', (event) => retries.push([event.timeouts, event.maxTimeouts, event.delay]));
+    await assert.rejects(u.result, UploadTimeoutError);
+    assert.deepStrictEqual(retries, [[1, 2, 0]]);
+    assert.strictEqual(simulator.stats.exchanges, 2);
+});
+
+test('uploadFirmware backs off exponentially before sending a packet again', async () => {
+    const { upload: u, simulator } = upload({ sendDone: true, dropReply: [10, 11, 12, 13] }, blob,
+        { backoff: 5, maxBackoff: 15 });
+    const delays = [];
+    u.on('retry', (event) => delays.push(event.delay));
+    assert.deepStrictEqual(await u.result, { confirmed: true });
+    assert.deepStrictEqual(delays, [5, 10, 15, 15]);
+    assert.deepStrictEqual(simulator.receivedImage, blob);
+});
+
+test('uploadFirmware takes a reply as lost after the exchange timeout', async () => {
+    const simulator = new DeviceSimulator({ latency: 0, sendDone: true });
+    let exchanges = 0;
+    const transport = {
+        // The reply to the fourth packet never arrives.
+        sendAndReceive: (packet) => exchanges++ === 3 ? new Promise(() => {}) : simulator.sendAndReceive(packet)
+    };
+    const u = uploadFirmware(blob, transport, { exchangeTimeout: 20 });
+    const retries = [];
+    u.on('retry', (event) => retries.push(event.timeouts));
+    assert.deepStrictEqual(await u.result, { confirmed: true });
+    assert.deepStrictEqual(retries, [1]);
+    assert.deepStrictEqual(simulator.receivedImage, blob);
+});
+
+test('uploadFirmware gives up when the device keeps sending stale replies', async () => {
+    // The device keeps requesting the first packet.
+    const transport = { sendAndReceive: async () => [42, 3, 0, 0] };
+    const u = uploadFirmware(blob, transport, { maxStaleReplies: 10 });
+    await assert.rejects(u.result, (error) => {
+        assert.ok(error instanceof StaleRepliesError);
+        assert.strictEqual(error.code, 'STALE_REPLIES');
+        assert.strictEqual(error.count, 10);
+        assert.strictEqual(error.seq, 0);
+        return true;
+    });
+    assert.strictEqual(u.stats.exchanges, 11);
+    assert.strictEqual(u.stats.staleReplies, 10);
+});
+
+test('uploadFirmware fails with a TransportError when the transport fails', async () => {
+    const simulator = new DeviceSimulator({ latency: 0 });
+    let exchanges = 0;
+    const transport = {
+        sendAndReceive: async (packet) => {
+            if (++exchanges > 3) throw new Error('Disconnected from MQTT');
+            return simulator.sendAndReceive(packet);
+        }
+    };
+    const u = uploadFirmware(blob, transport);
+    const failures = [];
+    u.on('failure', (event) => failures.push(event));
+    await assert.rejects(u.result, (error) => {
+        assert.ok(error instanceof TransportError);
+        assert.ok(error instanceof UploadError);
+        assert.strictEqual(error.code, 'TRANSPORT');
+        assert.strictEqual(error.seq, 2);
+        assert.match(error.message, /Disconnected from MQTT/);
+        return true;
+    });
+    assert.strictEqual(failures.length, 1);
+    assert.strictEqual(failures[0].error.code, 'TRANSPORT');
+});
+
+test('uploadFirmware gives up at the deadline and paces its packets', async () => {
+    const { upload: u, simulator } = upload({ sendDone: true }, blob, { interval: 20, deadline: 100 });
+    await assert.rejects(u.result, (error) => error instanceof UploadDeadlineError && error.code === 'DEADLINE');
+    assert.ok(simulator.stats.exchanges >= 2 && simulator.stats.exchanges <= 6, `${simulator.stats.exchanges} exchanges`);
+});
+
+test('uploadFirmware reports statistics of the transfer', async () => {
+    const { upload: u, simulator } = upload({ latency: 1, sendDone: true, dropReply: [10], duplicate: [20] });
+    assert.deepStrictEqual(u.stats.exchanges, 0);
+    await u.result;
+    const stats = u.stats;
+    assert.strictEqual(stats.exchanges, simulator.stats.exchanges);
+    assert.strictEqual(stats.retries, 1);
+    assert.strictEqual(stats.staleReplies, 1);
+    assert.strictEqual(stats.bytes, knownFirmwareSize);
+    assert.strictEqual(stats.total, knownFirmwareSize);
+    assert.ok(stats.meanRTT >= 1);
+    assert.ok(stats.elapsed > 0);
+    assert.ok(stats.throughput > 0);
+    assert.strictEqual(stats.eta, 0);
+});
+
+test('uploadFirmware stops after the current exchange when its signal is aborted', async () => {
+    const controller = new AbortController();
+    const { upload: u, simulator } = upload({ sendDone: true }, blob, { signal: controller.signal });
+    u.on('progress', (event) => { if (event.seq === 10) controller.abort() });
+    await assert.rejects(u.result, (error) => {
+        assert.ok(error instanceof UploadAbortedError);
+        assert.strictEqual(error.code, 'ABORTED');
+        assert.strictEqual(error.seq, 10);
+        assert.strictEqual(error.bytes, 320);
+        assert.strictEqual(error.total, knownFirmwareSize);
+        return true;
+    });
+    assert.strictEqual(simulator.state, 'transfer');
+    assert.strictEqual(u.stats.exchanges, 11);
+
+    const aborted = upload({}, blob, { signal: AbortSignal.abort() });
+    await assert.rejects(aborted.upload.result, UploadAbortedError);
+    assert.strictEqual(aborted.upload.stats.exchanges, 0);
+});
+
+test('uploadFirmware refuses to stop once all data was sent', async () => {
+    const controller = new AbortController();
+    const { upload: u, simulator } = upload({ sendDone: true }, blob, { signal: controller.signal });
+    const warnings = [];
+    u.on('progress', (event) => { if (event.bytes === event.total) controller.abort() });
+    u.on('warning', (event) => warnings.push(event.message));
+    assert.deepStrictEqual(await u.result, { confirmed: true });
+    assert.strictEqual(simulator.state, 'done');
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Not canceling/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('assert');
+const { verifyUpgrade } = require('..');
+const { FakeServer } = require('./helpers');
+
+const timing = { rebootDelay: 0, deadline: 50, pollInterval: 5 };
+
+test('verifyUpgrade verifies that the node runs the new firmware after it comes back', async () => {
+    const server = new FakeServer({ pingsUntilAlive: 2, oldVersion: '3.3', newVersion: '3.4' });
+    const steps = [];
+    const result = await verifyUpgrade(server, 5, '3.4', Object.assign({
+        onProgress: (event) => steps.push(event.step)
+    }, timing));
+    assert.strictEqual(result.status, 'verified');
+    assert.strictEqual(result.firmwareVersion, '3.4');
+    assert.strictEqual(server.interviews, 1);
+    assert.deepStrictEqual(steps, ['reboot', 'ping', 'ping', 'ping', 'interview', 'poll']);
+});
+
+test('verifyUpgrade fails when the node still runs another firmware version', async () => {
+    const server = new FakeServer({ oldVersion: '3.3', newVersion: '3.3' });
+    const result = await verifyUpgrade(server, 5, '3.4', timing);
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(result.firmwareVersion, '3.3');
+    assert.strictEqual(server.interviews, 1);
+    assert.ok(server.pings > 1);
+});
+
+test('verifyUpgrade waits for the interview before taking the old firmware version for a failure', async () => {
+    const server = new FakeServer({ oldVersion: '3.3', newVersion: '3.4', interviewPolls: 2 });
+    const polls = [];
+    const result = await verifyUpgrade(server, 5, '3.4', Object.assign({
+        onProgress: (event) => { if (event.step === 'poll') polls.push([event.firmwareVersion, event.interviewed]) }
+    }, timing));
+    assert.strictEqual(result.status, 'verified');
+    assert.deepStrictEqual(polls, [['3.3', false], ['3.3', false], ['3.4', true]]);
+});
+
+test('verifyUpgrade cannot verify a node whose interview does not finish in time', async () => {
+    const server = new FakeServer({ oldVersion: '3.3', newVersion: '3.4', interviewPolls: Infinity });
+    const result = await verifyUpgrade(server, 5, '3.4', timing);
+    assert.strictEqual(result.status, 'unverified');
+    assert.strictEqual(result.firmwareVersion, '3.3');
+    assert.ok(server.queries > 1);
+});
+
+test('verifyUpgrade cannot verify a node that does not respond', async () => {
+    const server = new FakeServer({ pingsUntilAlive: Infinity });
+    const result = await verifyUpgrade(server, 5, '3.4', timing);
+    assert.strictEqual(result.status, 'unverified');
+    assert.strictEqual(result.firmwareVersion, undefined);
+    assert.strictEqual(server.interviews, 0);
+});
+
+test('verifyUpgrade keeps trying when pinging the node fails', async () => {
+    const server = new FakeServer({ pingsUntilAlive: -1, newVersion: '3.4' });
+    const errors = [];
+    const result = await verifyUpgrade(server, 5, '3.4', Object.assign({
+        onProgress: (event) => { if (event.error) errors.push(event.error.message) }
+    }, timing));
+    assert.strictEqual(result.status, 'unverified');
+    assert.deepStrictEqual(errors, ['Node is dead']);
+});
+
+test('verifyUpgrade asks for the interview only once even if the request fails', async () => {
+    const server = new FakeServer({ oldVersion: '3.3', newVersion: '3.4', interviewError: new Error('Timed out') });
+    const result = await verifyUpgrade(server, 5, '3.4', timing);
+    assert.strictEqual(result.status, 'verified');
+    assert.strictEqual(server.interviews, 1);
+    assert.ok(server.pings > 1);
+});
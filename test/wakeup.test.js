@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('assert');
+const { waitForWakeUp } = require('..');
+const { FakeServer } = require('./helpers');
+
+test('waitForWakeUp waits for a Wake Up notification from the node and keeps it awake', async () => {
+    const server = new FakeServer({ status: 'asleep' });
+    setTimeout(() => server.notify(3), 5);
+    setTimeout(() => server.notify(7), 10);
+    assert.strictEqual(await waitForWakeUp(server, 7, { timeout: 1000, pollInterval: 1000 }), true);
+    assert.deepStrictEqual(server.keepAwake, [[7, true]]);
+    assert.strictEqual(server.listeners.size, 0);
+});
+
+test('waitForWakeUp notices when the server reports the node to be awake', async () => {
+    const server = new FakeServer({ status: 'asleep' });
+    setTimeout(() => { server.status = 'awake' }, 5);
+    assert.strictEqual(await waitForWakeUp(server, 7, { timeout: 1000, pollInterval: 2 }), true);
+    assert.ok(server.queries > 1);
+    assert.deepStrictEqual(server.keepAwake, [[7, true]]);
+});
+
+test('waitForWakeUp gives up when the node does not wake up in time', async () => {
+    const server = new FakeServer({ status: 'asleep' });
+    assert.strictEqual(await waitForWakeUp(server, 7, { timeout: 20, pollInterval: 5 }), false);
+    assert.deepStrictEqual(server.keepAwake, []);
+    assert.strictEqual(server.listeners.size, 0);
+});
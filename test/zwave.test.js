@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('assert');
+const { getProductId, mergeNodeInfo, compareFirmwareVersions, getNodeStatusName, getSecurityClassName } = require('..');
+
+test('getProductId recognizes the PE653 and PE953', () => {
+    assert.strictEqual(getProductId({ manufacturerId: 0x0005, productType: 0x5045, productId: 0x0653 }), 'PE0653');
+    assert.strictEqual(getProductId({ manufacturerId: 0x0005, productType: 0x5045, productId: 0x0953 }), 'PE0953');
+    assert.strictEqual(getProductId({ manufacturerId: 0x0005, productType: 0x5045, productId: 0x0100 }), null);
+    assert.strictEqual(getProductId({ manufacturerId: 0x0086, productType: 0x5045, productId: 0x0653 }), null);
+    assert.strictEqual(getProductId({ nodeId: 4 }), null);
+});
+
+test('mergeNodeInfo keeps what the server no longer reports about a node', () => {
+    const awake = { nodeId: 7, manufacturerId: 0x0005, productType: 0x5045, productId: 0x0953, firmwareVersion: '3.3',
+        status: 'alive' };
+    const asleep = { nodeId: 7, manufacturerId: undefined, productType: undefined, productId: undefined,
+        firmwareVersion: undefined, status: 'asleep' };
+    assert.deepStrictEqual(mergeNodeInfo(awake, asleep), Object.assign({}, awake, { status: 'asleep' }));
+    assert.deepStrictEqual(mergeNodeInfo(asleep, awake), awake);
+    assert.deepStrictEqual(mergeNodeInfo(awake, null), awake);
+});
+
+test('compareFirmwareVersions compares versions component by component', () => {
+    assert.strictEqual(compareFirmwareVersions('3.4', '3.4'), 0);
+    assert.strictEqual(compareFirmwareVersions('3.4', '3.04'), 0);
+    assert.strictEqual(compareFirmwareVersions('3.4', '3.4.0'), 0);
+    assert.ok(compareFirmwareVersions('3.4', '3.10') < 0);
+    assert.ok(compareFirmwareVersions('4.0', '3.10') > 0);
+    assert.ok(compareFirmwareVersions('3.4b', '3.4a') > 0);
+});
+
+test('getNodeStatusName names the zwave-js node statuses', () => {
+    assert.strictEqual(getNodeStatusName(1), 'asleep');
+    assert.strictEqual(getNodeStatusName(3), 'dead');
+    assert.strictEqual(getNodeStatusName(4), 'alive');
+    assert.strictEqual(getNodeStatusName(undefined), 'unknown');
+});
+
+test('getSecurityClassName names the zwave-js security classes', () => {
+    assert.strictEqual(getSecurityClassName(-1), 'none');
+    assert.strictEqual(getSecurityClassName(7), 'S0 legacy');
+    assert.strictEqual(getSecurityClassName(1), 'S2 authenticated');
+    assert.strictEqual(getSecurityClassName(undefined), undefined);
+    assert.strictEqual(getSecurityClassName(42), 'unknown (42)');
+});
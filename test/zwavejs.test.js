@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('assert');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { ZwaveJSServer, ServerTimeoutError } = require('..');
+
+// Starts a WebSocket server on a free port that calls onConnection with each client.
+async function startServer(t, onConnection) {
+    const wss = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+    wss.on('connection', onConnection);
+    await once(wss, 'listening');
+    t.after(() => new Promise((resolve) => {
+        wss.clients.forEach((client) => client.terminate());
+        wss.close(resolve);
+    }));
+    return `ws://127.0.0.1:${wss.address().port}`;
+}
+
+test('ZwaveJSServer gives up on calls that get no result and ignores malformed messages', async (t) => {
+    const url = await startServer(t, (socket) => {
+        socket.send(JSON.stringify({ type: 'version', serverVersion: '1.0', maxSchemaVersion: 20 }));
+        socket.on('message', (data) => {
+            const message = JSON.parse(data.toString());
+            socket.send('not json');
+            socket.send(JSON.stringify({ type: 'event' }));
+            socket.send(JSON.stringify({ type: 'event', event: null }));
+            if (message.command === 'set_api_schema')
+                socket.send(JSON.stringify({ type: 'result', messageId: message.messageId, success: true, result: {} }));
+        });
+    });
+    const server = new ZwaveJSServer(url, false, 100);
+    await server.connect();
+    t.after(() => server.disconnect());
+
+    assert.strictEqual(await server.sendAndReceive(5, [1, 2]), undefined);
+    await assert.rejects(server.getNodeInfo(5), (error) => error instanceof ServerTimeoutError &&
+        /command node.get_state timed out/.test(error.message));
+});
+
+test('ZwaveJSServer fails to connect when the server closes before sending its version', async (t) => {
+    const url = await startServer(t, (socket) => socket.close());
+    const server = new ZwaveJSServer(url, false, 1000);
+    await assert.rejects(server.connect(), /Disconnected from Zwave JS server/);
+});